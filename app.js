@@ -2,47 +2,67 @@
 //#region NOTELOCK CONFIG
 /////////////////////////////////
 
-// SSL Certificate and Key
-const pCert = "./certs/certificate.cer"; // Path to SSL certificate
-const pKey = "./certs/private_unencrypted.key"; // Path to SSL private unencrypted key
-
-// Port Setup
-const httpPort = 80; // HTTP port, default 80
-const httpsPort = 443; // HTTPS port, default 443
-
-// Note Expiration
-const exInterval = 5; // Interval to check for expired notes (in minutes), 0 will never expire
-const noteLife = 24; // Lifetime of notes (in hours), can not be less than 1
-
-// Global Speed Limit - Apply an exponential delay to server response after client exceeds threshold
-const spdTimeWindow = 30; // Time window to retain max request information (in minutes)
-const spdMaxRequests = 1; // Max requests allowed within time window before delay starts increasing
-const spdDelayTime = 0.1; // The amount of delay to add to the response (in seconds)
-const spdMaxDelayTime = 5; // Maximum amount of delay (in seconds)
-
-// Encryption Rate Limit - Block encryption requests from client after exceeding threshold
-const encTimeWindow = 30; // Time window for max encryption requests (in minutes)
-const encMaxRequests = 10; // Max encryption requests allowed within time window
-
-// Global Rate Limit - Block all requests from client after exceeding threshold
-const reqTimeWindow = 5; // Time window for max requests (in minutes)
-const reqMaxRequests = 40; // Max requests allowed within time window
-
-// Subnet Mask for Rate / Speed Limit
-const subMask = 56; // Subnet mask to apply to IPv6 addresses. Valid range is 1-120, recommend range is 48-64.
-
-// API encryption only (disables encryption page)
-const apiOnly = false;
-
-// Custom branding - 
-const customBranding = ""; // Provide path to CSS file to enable (i.e. "./branding/style.css")
+// Settings are documented in lib/config.js, and read from notelock.json (or the file in NOTELOCK_CONFIG)
+// and NOTELOCK_* environment variables
+const { loadConfig } = require('./lib/config');
+
+let loadedConfig;
+try {
+    loadedConfig = loadConfig();
+} catch (err) {
+    console.error("[CONFIG]", err.message);
+    process.exit(1);
+}
 
-/////////////////////////////////
-//#region DEBUG OPTIONS
-/////////////////////////////////
+const {
+    pCert, pKey,
+    httpPort, httpsPort,
+    proxyMode, trustProxy,
+    publicUrl,
+    exInterval, noteLife, noteMinLife, noteMaxLife,
+    noteMaxViews,
+    statusLife, webhooks,
+    attachMaxSize, attachMaxFiles,
+    noteMaxSize, storageMaxSize, subnetMaxNotes,
+    dbDriver, dbPath,
+    spdTimeWindow, spdMaxRequests, spdDelayTime, spdMaxDelayTime,
+    encTimeWindow, encMaxRequests, encMaxMegabytes,
+    powMode, powDifficulty, powMaxDifficulty, powStep, powSecret,
+    tokenRequired, tokenFile, tokTimeWindow, tokMaxRequests,
+    reqTimeWindow, reqMaxRequests,
+    readTimeWindow, readMaxRequests,
+    limitDriver, redisUrl,
+    allowList, denyList,
+    subMask,
+    apiOnly,
+    customBranding, tenantFile,
+    hstsMaxAge,
+    adminToken,
+    logFormat, logLevel, logPrivacy,
+    metrics, metricsToken,
+    prInterval
+} = loadedConfig.settings;
+
+// Branding and note settings for each hostname, layered on the settings above, see lib/tenants.js
+const { loadTenants, getThemeStylesheet } = require('./lib/tenants');
+
+let tenants;
+try {
+    tenants = loadTenants(tenantFile, {
+        title: 'notelock',
+        stylesheet: customBranding,
+        publicUrl: publicUrl,
+        noteLife: noteLife, noteMinLife: noteMinLife, noteMaxLife: noteMaxLife,
+        noteMaxViews: noteMaxViews,
+    });
+} catch (err) {
+    console.error("[CONFIG]", err.message);
+    process.exit(1);
+}
 
-// Regularly print the database rows to the console (in minutes)
-const prInterval = 0; // Set to 0 to never print rows
+// Log as configured, see lib/logger.js
+const { createLogger } = require('./lib/logger');
+const log = createLogger({ format: logFormat, level: logLevel, privacy: logPrivacy });
 
 //#endregion
 
@@ -58,7 +78,17 @@ const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const slowDown = require("express-slow-down");
 const { nanoid } = require('nanoid');
 const ejs = require('ejs');
-const Database = require('better-sqlite3');
+const { createStore } = require('./lib/storage');
+const { createTokenVerifier, readTokens, hashToken } = require('./lib/tokens');
+const { createByteLimiter } = require('./lib/byteLimit');
+const { createChallenger } = require('./lib/challenge');
+const { createLimitStores } = require('./lib/limits');
+const { parseCidrList, isListed, isPrivateAddress } = require('./lib/cidr');
+const { createUsageTracker } = require('./lib/usage');
+const { createMetrics } = require('./lib/metrics');
+const { loadAsset, createAsset, createSecurityHeaders } = require('./lib/security');
+const { createWebhookSender } = require('./lib/webhooks');
+const crypto = require('crypto');
 
 // Get timestamp in ISO8601 format
 function getTimeStamp() {
@@ -67,18 +97,147 @@ function getTimeStamp() {
     return timeStamp;
 }
 
-// Create a timestamp for logging
-let timeStamp = getTimeStamp();
+// Get the client IP, without the "::ffff:" prefix of IPv4 clients on a dual-stack socket (IPv6 addresses are kept whole)
+function getClientIp(req) {
+    return `${req.ip}`.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+// Check if a request was made to the JSON API
+function isApiRequest(req) {
+    return req.originalUrl.startsWith('/api/');
+}
+
+// Send a JSON API error, as { error: { code, message } }
+function sendApiError(res, status, code, message) {
+    res.status(status).json({ error: { code: code, message: message } });
+}
+
+// Respond to a rate limited request, JSON API clients get a 429 and how many seconds to wait
+function sendRateLimited(req, res, reason, time) {
+    if (isApiRequest(req)) {
+        let resetTime = req.rateLimit && req.rateLimit.resetTime;
+        let retryAfter = resetTime ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000)) : time * 60;
+        res.set('Retry-After', `${retryAfter}`);
+        sendApiError(res, 429, 'rate_limited', `too many ${reason} requests. try again in ${time} minute(s)`);
+    } else {
+        res.json({ id: 'ERROR', reason: reason, time: `${time}` });
+    }
+}
 
 // Check if API Only
 if (apiOnly) {
-    console.log("[NOTELOCK]", timeStamp, ":", "Notelock is starting in API Only mode...");
+    log.info('NOTELOCK', 'Notelock is starting in API Only mode...');
 } else {
-    console.log("[NOTELOCK]", timeStamp, ":", "Notelock is starting...");
+    log.info('NOTELOCK', 'Notelock is starting...');
 }
 
 if (customBranding != ""){
-    console.log("[NOTELOCK]", timeStamp, ":", "Notelock has custom branding enabled");
+    log.info('NOTELOCK', 'Notelock has custom branding enabled');
+}
+if (tenantFile !== '') {
+    log.info('NOTELOCK', `Notelock is branded for ${tenants.tenants.length - 1} hostname(s) from ${tenantFile}, every other hostname uses the default`);
+}
+
+// Log where the settings came from
+if (loadedConfig.file) {
+    log.info('CONFIG', `Settings loaded from ${loadedConfig.file} and ${loadedConfig.envCount} environment variable(s)`);
+} else {
+    log.info('CONFIG', `Settings loaded from defaults and ${loadedConfig.envCount} environment variable(s)`);
+}
+if (proxyMode) {
+    log.info('CONFIG', `Reverse proxy mode is enabled, listening for HTTP on port ${httpPort} and trusting proxies: ${trustProxy}`);
+} else {
+    log.info('CONFIG', `Listening for HTTP on port ${httpPort} and HTTPS on port ${httpsPort}`);
+}
+if (publicUrl != "") {
+    log.info('CONFIG', `Note links will use the public URL ${publicUrl}`);
+}
+log.info('CONFIG', `Notes are stored using the ${dbDriver} driver`);
+log.info('CONFIG', `Logging ${logLevel} and above as ${logFormat}, with client IPs and note IDs ${{ full: 'shown', hash: 'hashed', drop: 'left out' }[logPrivacy]}`);
+
+//#endregion
+
+//-----------------------
+
+/////////////////////////////////
+//#region METRICS
+/////////////////////////////////
+
+// Prometheus metrics, see lib/metrics.js (only served at /metrics when enabled)
+// Labels are never client IPs or note IDs
+const registry = createMetrics();
+const notesCreated = registry.counter('notelock_notes_created_total', 'Notes created, and drop boxes opened', ['kind']);
+const notesRead = registry.counter('notelock_notes_read_total', 'Views of notes served to readers');
+const notesExpired = registry.counter('notelock_notes_expired_total', 'Notes deleted once they expired');
+const notesRevoked = registry.counter('notelock_notes_revoked_total', 'Notes revoked by their senders, or purged by an admin');
+const rateLimitHits = registry.counter('notelock_rate_limit_hits_total', 'Requests blocked by a rate limit', ['limiter']);
+const slowDownHits = registry.counter('notelock_slow_down_hits_total', 'Requests delayed by the speed limit');
+const challengeResults = registry.counter('notelock_challenges_total', 'Proof-of-work challenges issued, and solutions accepted or refused', ['result']);
+registry.gauge('notelock_storage_rows', 'Rows in storage, by kind', ['kind'], async (set) => {
+    let stats = await dbGetStats();
+    set({ kind: 'notes' }, stats.live - stats.boxes);
+    set({ kind: 'boxes' }, stats.boxes);
+    set({ kind: 'reservations' }, stats.reserved);
+    set({ kind: 'tombstones' }, stats.read + stats.expired + stats.revoked);
+});
+// Start the labelled counters at 0 too
+['note', 'box'].forEach((kind) => notesCreated.inc({ kind: kind }, 0));
+['encryption', 'token', 'upload', 'page', 'read', 'quota'].forEach((limiter) => rateLimitHits.inc({ limiter: limiter }, 0));
+['issued', 'accepted', 'refused'].forEach((result) => challengeResults.inc({ result: result }, 0));
+const requestDuration = registry.histogram('notelock_http_request_duration_seconds', 'Time taken to respond, by route', ['method', 'route', 'status']);
+
+// Time every request, labelled by the route it matched (never its URL, which can hold a note ID)
+function timeRequests(req, res, next) {
+    let start = process.hrtime.bigint();
+    res.on('finish', () => {
+        let route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+        requestDuration.observe({ method: req.method, route: route, status: res.statusCode }, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+    next();
+}
+
+// Count requests the speed limit delayed
+function countSlowDowns(req, res, next) {
+    if (req.slowDown && req.slowDown.delay > 0) {
+        slowDownHits.inc();
+    }
+    next();
+}
+
+// Serve the metrics, to anyone with the metrics token if one is set
+const metricsHash = metricsToken !== '' ? hashToken(metricsToken) : null;
+async function serveMetrics(req, res) {
+    let header = req.get('authorization') || '';
+    if (metricsHash && (!header.startsWith('Bearer ') || !checkTokenHash(metricsHash, header.substring(7).trim()))) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).type('text/plain').send('a valid metrics token is required\n');
+    }
+    res.type('text/plain; version=0.0.4').send(await registry.render());
+}
+if (metrics) {
+    log.info('CONFIG', `Prometheus metrics are served at /metrics${metricsHash ? ', with the metrics token' : ' to anyone'}`);
+} else {
+    log.info('CONFIG', 'Prometheus metrics are disabled');
+}
+
+//#endregion
+
+//-----------------------
+
+/////////////////////////////////
+//#region BACKENDS
+/////////////////////////////////
+
+// Connect to the configured storage driver, bringing its schema up to date
+const store = createStore(dbDriver, { path: dbPath, redisUrl: redisUrl, log: (message) => log.info(dbDriver === 'redis' ? 'REDIS' : 'SQLITE3', message) });
+log.info('STORAGE', `Database connected using the ${dbDriver} driver`);
+
+// Count every rate and speed limit with the configured driver, see lib/limits
+const limitStores = createLimitStores(limitDriver, { store: store, redisUrl: redisUrl, log: (message) => log.info('REDIS', message) });
+if (limitDriver === 'memory') {
+    log.info('CONFIG', 'Rate limits are counted in memory, per process, and reset when notelock restarts');
+} else {
+    log.info('CONFIG', `Rate limits are counted with the ${limitDriver} driver, shared by every notelock using it`);
 }
 
 //#endregion
@@ -91,14 +250,16 @@ if (customBranding != ""){
 
 // Speed limit for requests
 const speedLimiter = slowDown({
+    store: limitStores.create('speed:'),
     keyGenerator: (req, res) => { return ipKeyGenerator(req.ip, subMask) },
+    skip: (req, res) => { return isAllowListed(req) },
     windowMs: spdTimeWindow * 60 * 1000, // Time (in minutes)
     delayAfter: spdMaxRequests, // Amount of requests
     delayMs: (hits) => (hits - spdMaxRequests) * (spdDelayTime * 1000), // Delay time (in seconds)
     maxDelayMs: spdMaxDelayTime * 1000 // Maximum delay
 });
-console.log("[CONFIG] Clients will experience an increasing", spdDelayTime, "second delay after making", spdMaxRequests, "requests in", spdTimeWindow, "minute(s)");
-console.log("[CONFIG] This delay will not exceed a maximum of", spdMaxDelayTime, "second(s)");
+log.info('CONFIG', `Clients will experience an increasing ${spdDelayTime} second delay after making ${spdMaxRequests} requests in ${spdTimeWindow} minute(s)`);
+log.info('CONFIG', `This delay will not exceed a maximum of ${spdMaxDelayTime} second(s)`);
 
 //#endregion
 
@@ -108,37 +269,266 @@ console.log("[CONFIG] This delay will not exceed a maximum of", spdMaxDelayTime,
 //#region EXPRESS-RATE-LIMIT
 /////////////////////////////////
 
+// Blocked subnets and API token usage, for the admin API
+const usage = createUsageTracker();
+
+// Clients on the allow list skip every limit by IP (API tokens keep theirs), and clients on the deny list are refused
+const allowed = parseCidrList(allowList);
+const denied = parseCidrList(denyList);
+function isAllowListed(req) {
+    return allowList !== '' && isListed(allowed, getClientIp(req));
+}
+function refuseDenyListed(req, res, next) {
+    if (denyList === '' || !isListed(denied, getClientIp(req))) {
+        return next();
+    }
+    log.warn('NOTELOCK', 'Refusing {client}, who is on the deny list', { client: getClientIp(req) });
+    if (isApiRequest(req)) {
+        return sendApiError(res, 403, 'forbidden', 'requests from this address are not allowed');
+    }
+    res.status(403).render('note.ejs', { apionly: apiOnly, error: 'requests from this address are not allowed.' });
+}
+if (allowList !== '') {
+    log.info('CONFIG', `Clients in ${allowList} are never rate or speed limited`);
+}
+if (denyList !== '') {
+    log.info('CONFIG', `Clients in ${denyList} are refused`);
+}
+
 // Rate limit for encryption
 const encLimiter = rateLimit({
     windowMs: encTimeWindow * 60 * 1000, // Time (in minutes)
     max: encMaxRequests, // Amount of requests
+    store: limitStores.create('encrypt:'),
     keyGenerator: (req, res) => { return ipKeyGenerator(req.ip, subMask) },
+    skip: (req, res) => { return req.token !== undefined || req.reserved !== undefined || isAllowListed(req) || powMode === 'instead' }, // Token requests use the token limit instead, and clients solve challenges instead in "instead" mode
     handler: (req, res, next, options) => {
-        let client = req.ip.split(":").pop(); // Get the client IP
-        let timeStamp = getTimeStamp();
-        console.log("[NOTELOCK]", timeStamp, ":", "Blocking", client, "for too many encryption requests");
+        let client = getClientIp(req); // Get the client IP
+        log.warn('NOTELOCK', 'Blocking {client} for too many encryption requests', { client: client });
+        rateLimitHits.inc({ limiter: 'encryption' });
+        usage.recordBlock(ipKeyGenerator(req.ip, subMask), 'encryption');
         // Send block response
-        res.json({ id: 'ERROR', reason: 'encryption', time: `${encTimeWindow}` });
+        sendRateLimited(req, res, 'encryption', encTimeWindow);
     },
     message: `Too many encryption requests! Please try again after ${encTimeWindow} minute(s).`
 });
-console.log("[CONFIG] Clients are allowed to encrypt", encMaxRequests, "messages every", encTimeWindow, "minute(s)");
+if (powMode === 'instead') {
+    log.info('CONFIG', 'Clients are not limited in how many messages they encrypt, they solve a proof-of-work challenge instead');
+} else {
+    log.info('CONFIG', `Clients are allowed to encrypt ${encMaxRequests} messages every ${encTimeWindow} minute(s)`);
+}
+
+// Rate limit for encryption with an API token
+const tokLimiter = rateLimit({
+    windowMs: tokTimeWindow * 60 * 1000, // Time (in minutes)
+    max: (req, res) => { return req.token.limit || tokMaxRequests }, // Amount of requests
+    store: limitStores.create('token:'),
+    keyGenerator: (req, res) => { return `token:${req.token.id}` },
+    skip: (req, res) => { return req.token === undefined || req.reserved !== undefined },
+    handler: (req, res, next, options) => {
+        log.warn('NOTELOCK', 'Blocking token {token} for too many encryption requests', { token: req.token.id });
+        rateLimitHits.inc({ limiter: 'token' });
+        usage.recordTokenBlock(req.token.id);
+        // Send block response
+        sendRateLimited(req, res, 'encryption', tokTimeWindow);
+    },
+    message: `Too many encryption requests! Please try again after ${tokTimeWindow} minute(s).`
+});
+log.info('CONFIG', `API tokens are allowed to encrypt ${tokMaxRequests} messages every ${tokTimeWindow} minute(s), unless the token has its own limit`);
+
+// Find the reserved ID a note is uploaded to (n on forms, id on the API), as req.reserved
+// Its upload was already counted (and challenged) when the ID was reserved, so the encryption limits skip it
+// An ID that isn't held is turned away here, before any limit is skipped, but it's only claimed once the note
+// has passed every other check (so a refused note doesn't cost the sender their reservation)
+async function checkReservation(req, res, next) {
+    let note = req.body || {};
+    let reservedId = isApiRequest(req) ? note.id : note.n;
+    if (reservedId === undefined) {
+        return next();
+    }
+    if (await dbFindReservation(`${reservedId}`)) {
+        req.reserved = `${reservedId}`;
+        return next();
+    }
+    sendReservationExpired(req, res);
+}
+
+// Tell a sender their note's reserved ID isn't held (or its reservation expired)
+function sendReservationExpired(req, res) {
+    if (isApiRequest(req)) {
+        return sendApiError(res, 409, 'reservation_expired', 'id is not reserved, or its reservation has expired');
+    }
+    res.status(400).json({ id: 'ERROR', reason: 'invalid', message: 'the reserved note id has expired, please try again' });
+}
+
+// Upload limit for encryption requests, counting the bytes of ciphertext and attachments (per token for token requests)
+const byteLimiter = createByteLimiter({
+    windowMs: encTimeWindow * 60 * 1000, // Time (in minutes)
+    max: encMaxMegabytes * 1024 * 1024, // Amount of bytes
+    store: limitStores.create('upload:'),
+    keyGenerator: (req, res) => { return req.token ? `token:${req.token.id}` : ipKeyGenerator(req.ip, subMask) },
+    size: (req) => { return getNoteSize(req.body || {}) },
+    skip: (req, res) => { return !req.token && isAllowListed(req) },
+    handler: (req, res, next) => {
+        let client = getClientIp(req); // Get the client IP
+        log.warn('NOTELOCK', 'Blocking {client} for uploading too many bytes', { client: client });
+        rateLimitHits.inc({ limiter: 'upload' });
+        if (req.token) {
+            usage.recordTokenBlock(req.token.id);
+        } else {
+            usage.recordBlock(ipKeyGenerator(req.ip, subMask), 'upload');
+        }
+        // Send block response
+        sendRateLimited(req, res, 'upload', encTimeWindow);
+    }
+});
+log.info('CONFIG', `Clients and API tokens are allowed to upload ${encMaxMegabytes} megabyte(s) of messages every ${encTimeWindow} minute(s)`);
 
 // General rate limit
 const reqLimiter = rateLimit({
     windowMs: reqTimeWindow * 60 * 1000, // Time (in minutes)
     max: reqMaxRequests, // Amount of requests
+    store: limitStores.create('page:'),
     keyGenerator: (req, res) => { return ipKeyGenerator(req.ip, subMask) },
+    skip: (req, res) => { return isAllowListed(req) },
     handler: (req, res, next, options) => {
-        let client = req.ip.split(":").pop(); // Get the client IP
-        let timeStamp = getTimeStamp();
-        console.log("[NOTELOCK]", timeStamp, ":", "Blocking", client, "for too many page requests");
+        let client = getClientIp(req); // Get the client IP
+        log.warn('NOTELOCK', 'Blocking {client} for too many page requests', { client: client });
+        rateLimitHits.inc({ limiter: 'page' });
+        usage.recordBlock(ipKeyGenerator(req.ip, subMask), 'page');
+        if (isApiRequest(req)) {
+            return sendRateLimited(req, res, 'page', reqTimeWindow);
+        }
         // Redirect to error page
-        res.render('note.ejs', { apionly: apiOnly, branding: customBranding, error: `too many page requests. try again in ${reqTimeWindow} minute(s)` });
+        res.render('note.ejs', { apionly: apiOnly, error: `too many page requests. try again in ${reqTimeWindow} minute(s)` });
     },
     message: `Too many page requests! Please try again after ${reqTimeWindow} minute(s).`
 });
-console.log("[CONFIG] Clients are allowed to make", reqMaxRequests, "requests every", reqTimeWindow, "minute(s)")
+log.info('CONFIG', `Clients are allowed to make ${reqMaxRequests} requests every ${reqTimeWindow} minute(s)`);
+
+// Rate limit for looking up notes by ID, so IDs can't be guessed within the general limit
+// (pages only count when they name a note, i.e. "/?n=<id>")
+const readLimiter = rateLimit({
+    windowMs: readTimeWindow * 60 * 1000, // Time (in minutes)
+    max: readMaxRequests, // Amount of requests
+    store: limitStores.create('read:'),
+    keyGenerator: (req, res) => { return ipKeyGenerator(req.ip, subMask) },
+    skip: (req, res) => { return (req.method === 'GET' && !isApiRequest(req) && !req.query.n) || isAllowListed(req) },
+    handler: (req, res, next, options) => {
+        let client = getClientIp(req); // Get the client IP
+        log.warn('NOTELOCK', 'Blocking {client} for too many note lookups', { client: client });
+        rateLimitHits.inc({ limiter: 'read' });
+        usage.recordBlock(ipKeyGenerator(req.ip, subMask), 'read');
+        res.status(429);
+        if (req.method === 'GET' && !isApiRequest(req)) {
+            // Redirect to error page
+            return res.render('note.ejs', { apionly: apiOnly, error: `too many note lookups. try again in ${readTimeWindow} minute(s)` });
+        }
+        sendRateLimited(req, res, 'read', readTimeWindow);
+    },
+    message: `Too many note lookups! Please try again after ${readTimeWindow} minute(s).`
+});
+log.info('CONFIG', `Clients are allowed to look up ${readMaxRequests} notes every ${readTimeWindow} minute(s)`);
+
+//#endregion
+
+//-----------------------
+
+/////////////////////////////////
+//#region PROOF OF WORK
+/////////////////////////////////
+
+// Challenges clients solve before encrypting, see lib/challenge.js (spent solutions are kept with the rate limits)
+const challengeLife = 5; // Time to solve a challenge (in minutes)
+const challenger = createChallenger({
+    secret: powSecret !== '' ? powSecret : crypto.randomBytes(32),
+    life: challengeLife * 60 * 1000,
+    store: limitStores.create('pow:'),
+});
+
+// Count the challenges each client asks for, so each is harder than the last within the encryption window
+const challengeCounts = limitStores.create('challenge:');
+challengeCounts.init({ windowMs: encTimeWindow * 60 * 1000 });
+
+// Issue a client a challenge, one bit harder for every powStep it has already asked for
+async function issueChallenge(req) {
+    let client = ipKeyGenerator(req.ip, subMask);
+    let asked = await challengeCounts.increment(client);
+    let difficulty = Math.min(powMaxDifficulty, powDifficulty + Math.floor((asked.totalHits - 1) / powStep));
+    challengeResults.inc({ result: 'issued' });
+    return challenger.issue(client, difficulty);
+}
+
+// Require a solved challenge (as "pow") from the same clients the encryption limit counts
+// Everyone else is refused with 428, to ask for a challenge (POST /challenge, or /api/v1/challenges), solve it and retry
+async function requireChallenge(req, res, next) {
+    if (powMode === 'off' || req.token !== undefined || req.reserved !== undefined || isAllowListed(req)) {
+        return next();
+    }
+    let solution = (req.body || {}).pow;
+    let refused = await challenger.verify(ipKeyGenerator(req.ip, subMask), solution);
+    if (!refused) {
+        challengeResults.inc({ result: 'accepted' });
+        return next();
+    }
+    // Asking without a solution is how clients find out they need one, only count wrong answers
+    if (solution !== undefined) {
+        log.warn('NOTELOCK', `Refusing {client}, ${refused}`, { client: getClientIp(req) });
+        challengeResults.inc({ result: 'refused' });
+    }
+    if (isApiRequest(req)) {
+        return sendApiError(res, 428, 'challenge_required', refused);
+    }
+    res.status(428).json({ id: 'ERROR', reason: 'challenge', message: refused });
+}
+if (powMode !== 'off') {
+    log.info('CONFIG', `Clients solve a proof-of-work challenge to encrypt, from ${powDifficulty} bits, one more for every ${powStep} challenge(s) in ${encTimeWindow} minute(s), up to ${powMaxDifficulty} bits`);
+    if (powSecret === '' && limitDriver !== 'memory') {
+        log.warn('CONFIG', 'Without a powSecret, challenges are only accepted by the notelock that issued them');
+    }
+}
+
+//#endregion
+
+//-----------------------
+
+/////////////////////////////////
+//#region API TOKENS
+/////////////////////////////////
+
+const verifyToken = createTokenVerifier(tokenFile);
+
+// Reject a request without a valid API token
+function sendUnauthorized(req, res, message) {
+    res.set('WWW-Authenticate', 'Bearer');
+    if (isApiRequest(req)) {
+        sendApiError(res, 401, 'unauthorized', message);
+    } else {
+        res.status(401).json({ id: 'ERROR', reason: 'token', message: message });
+    }
+}
+
+// Check the bearer token on a request, if any, and attach its record as req.token
+function tokenAuth(req, res, next) {
+    let header = req.get('authorization') || '';
+    if (header.startsWith('Bearer ')) {
+        let token = verifyToken(header.substring(7).trim());
+        if (!token) {
+            let client = getClientIp(req); // Get the client IP
+            log.warn('NOTELOCK', 'Rejecting {client} for an invalid API token', { client: client });
+            return sendUnauthorized(req, res, 'invalid or revoked api token');
+        }
+        req.token = token;
+    } else if (tokenRequired) {
+        return sendUnauthorized(req, res, 'an api token is required');
+    }
+    next();
+}
+if (tokenRequired) {
+    log.info('CONFIG', 'API tokens are required to encrypt messages');
+} else {
+    log.info('CONFIG', 'API tokens are optional, clients without one use the client encryption limit');
+}
 
 //#endregion
 
@@ -152,11 +542,14 @@ const fs = require('fs');
 const http = require('http');
 const https = require('https');
 
-// Populate Key and Certificate for SSL
-const privateKey  = fs.readFileSync(`${pKey}`, 'utf8');
-const certificate = fs.readFileSync(`${pCert}`, 'utf8');
+// Populate Key and Certificate for SSL (the proxy handles TLS in reverse proxy mode)
+let credentials;
+if (!proxyMode) {
+    const privateKey  = fs.readFileSync(`${pKey}`, 'utf8');
+    const certificate = fs.readFileSync(`${pCert}`, 'utf8');
 
-const credentials = {key: privateKey, cert: certificate};
+    credentials = {key: privateKey, cert: certificate};
+}
 
 //#endregion
 
@@ -167,126 +560,381 @@ const credentials = {key: privateKey, cert: certificate};
 /////////////////////////////////
 
 const app = express();
+app.disable('x-powered-by');
+app.use(timeRequests);
+
+// Behind a reverse proxy, take the client IP (req.ip) and protocol (req.secure) from the trusted proxy's
+// X-Forwarded-For and X-Forwarded-Proto headers, so rate limits and the HTTPS redirect see the real client
+if (proxyMode) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 app.use(enforce.HTTPS());
 
-app.use(express.static(__dirname + '/views'));
+// Every tenant's stylesheets (see lib/tenants.js): its own, pinned with an integrity hash if it's in views/branding,
+// then one made from its logo and colors
+// Stylesheets and logos from another server can't be pinned, only allowed by the CSP
+const tenantStyles = new Map(); // tenant -> [{ href, integrity }], integrity is null for another server's
+const brandingAssets = new Map(); // href -> asset
+const brandingOrigins = new Set();
+let brandingFiles = false; // Whether any tenant uses a stylesheet or logo from views/branding
+tenants.tenants.forEach((tenant, i) => {
+    let sheets = [];
+    if (/^https:/.test(tenant.stylesheet)) {
+        if (!brandingOrigins.has(new URL(tenant.stylesheet).origin)) {
+            log.warn('CONFIG', `The branding stylesheet is loaded from ${new URL(tenant.stylesheet).origin} without an integrity hash, that server can change how notelock looks`);
+        }
+        brandingOrigins.add(new URL(tenant.stylesheet).origin);
+        sheets.push({ href: tenant.stylesheet, integrity: null });
+    } else if (tenant.stylesheet !== '') {
+        let href = `/${tenant.stylesheet.replace(/^\.?\//, '')}`;
+        if (!brandingAssets.has(href)) {
+            try {
+                brandingAssets.set(href, loadAsset(`${__dirname}/views${href}`, 'css'));
+            } catch (err) {
+                log.error('CONFIG', `Could not read the branding stylesheet views${href}: ${err.message}`);
+                process.exit(1);
+            }
+        }
+        sheets.push({ href: href, integrity: brandingAssets.get(href).integrity });
+        brandingFiles = true;
+    }
+    if (/^https:/.test(tenant.logo)) {
+        brandingOrigins.add(new URL(tenant.logo).origin);
+    } else if (tenant.logo !== '') {
+        brandingFiles = true;
+    }
+    let theme = getThemeStylesheet(tenant);
+    if (theme !== null) {
+        let href = `/styles/theme-${i}.css`;
+        brandingAssets.set(href, createAsset(theme, 'css'));
+        sheets.push({ href: href, integrity: brandingAssets.get(href).integrity });
+    }
+    tenantStyles.set(tenant, sheets);
+});
+
+app.use(createSecurityHeaders({ hstsMaxAge: hstsMaxAge, styleSources: Array.from(brandingOrigins) }));
+
+// Find the tenant for the request's hostname, for its branding (in every page), note settings and note links
+app.use((req, res, next) => {
+    req.tenant = tenants.resolve(req.hostname);
+    res.locals.tenant = req.tenant;
+    res.locals.stylesheets = tenantStyles.get(req.tenant);
+    next();
+});
+app.use(refuseDenyListed);
+
+// Only serve the public assets (never the templates), each with the integrity hash its tag carries
+const assets = {
+    style: loadAsset(__dirname + '/views/styles/style.css', 'css'),
+    crypto: loadAsset(__dirname + '/lib/crypto.js', 'js'), // Shared with the Node client, see lib/client.js
+    markdown: loadAsset(__dirname + '/views/js/markdown.js', 'js'),
+    main: loadAsset(__dirname + '/views/js/main.js', 'js'),
+};
+brandingAssets.forEach((asset, href) => app.get(href, asset.serve));
+if (brandingFiles) {
+    app.use('/branding', express.static(__dirname + '/views/branding', { index: false })); // Logos, and images used by branding stylesheets
+}
+app.get('/styles/style.css', assets.style.serve);
+app.get('/js/crypto.js', assets.crypto.serve);
+app.get('/js/markdown.js', assets.markdown.serve);
+app.get('/js/main.js', assets.main.serve);
+app.locals.integrity = Object.fromEntries(Object.entries(assets).map(([name, asset]) => [name, asset.integrity]));
 app.set('views', __dirname + '/views');
 app.engine('html', ejs.renderFile);
 app.set('view engine', 'html');
 
-app.use(express.urlencoded({ extended: true })); // Needed to parse request body
+// Leave room for the largest allowed note and attachments, after Base64 (4/3) and form encoding
+const bodyLimit = (noteMaxSize + 16) * 1024 + Math.ceil(attachMaxSize * 1024 * 1024 * 3 / 2) + attachMaxFiles * 1024;
+app.use(express.urlencoded({ extended: true, limit: bodyLimit })); // Needed to parse request body
+app.use(express.json({ limit: bodyLimit })); // Needed to parse JSON API request body
 
 const httpServer = http.createServer(app);
-const httpsServer = https.createServer(credentials, app);
+const httpsServer = proxyMode ? null : https.createServer(credentials, app);
+
+// Scrapers skip the rate limits
+if (metrics) {
+    app.get('/metrics', serveMetrics);
+}
 
 app.use(reqLimiter);
 app.use(speedLimiter);
+app.use(countSlowDowns);
 
 //#endregion
 
 //-----------------------
 
 /////////////////////////////////
-//#region BETTER-SQLITE3
+//#region NOTE STORAGE
 /////////////////////////////////
 
-// Spin up a DB for this session only
-const db = new Database(':memory:');
-timeStamp = getTimeStamp();
-console.log("[SQLITE3]", timeStamp, ":", "Database connected");
+// Minutes a reserved UUID is held for, while the sender encrypts and uploads their note
+const reserveLife = 10;
 
-// Create a Table at first run
-db.exec('CREATE TABLE notelock (uuid TEXT PRIMARY_KEY, note TEXT, created TEXT)');
-timeStamp = getTimeStamp();
-console.log("[SQLITE3]", timeStamp, ":", "Table created");
-
-// Add data to the Table
-function dbAddData(newID, cipherText) {
-    // Prepare the SQL statement and execute
-    let insert = db.prepare('INSERT INTO notelock (uuid, note, created) VALUES (?, ?, ?)');
+// Add data to the Table, expiring after options.lifetime (in minutes) or once read options.views times
+// The revoke and status tokens are stored as hashes, so only the sender can revoke the note or check on it
+// The owner (see getNoteOwner) is kept to count the note against its subnet's quota
+async function dbAddData(newID, cipherText, options, owner, revokeToken, statusToken) {
     let timeStamp = getTimeStamp(); // Mark with timestamp for expiration
-    insert.run(newID, cipherText, timeStamp);
+    let expires = null; // Notes never expire if expiration is disabled
+    if (exInterval > 0) {
+        expires = new Date(Date.now() + options.lifetime * 60 * 1000).toISOString();
+    }
+    await store.addData({
+        uuid: newID,
+        note: cipherText,
+        attachments: options.attachments,
+        created: timeStamp,
+        expires: expires,
+        views: options.views,
+        revoke: hashToken(revokeToken),
+        status: hashToken(statusToken),
+        webhook: options.webhook,
+        box: null,
+        owner: owner
+    });
+    return expires;
 };
 
-// Find data in the Table by Primary_Key value
-function dbFindData(uuid) {
+// Get the time until which a tombstone (the status of a deleted note) is kept
+function getTombstoneExpiry() {
+    return new Date(Date.now() + statusLife * 60 * 60 * 1000).toISOString();
+}
+
+// Find unexpired data in the Table by Primary_Key value, returning the whole row
+async function dbFindData(uuid) {
     // The Primary Key to find
     let primaryKeyId = uuid;
-    // Prepare the SQL statement and execute
-    let find = db.prepare('SELECT * FROM notelock WHERE uuid = ?');
-    let note = find.get(primaryKeyId);
+    let note = await store.findData(primaryKeyId, getTimeStamp());
     if (note) {
-        return note.note;
+        return note;
     } else {
         return false;
     }
 };
 
+// Use up a view of unexpired data in the Table by Primary_Key value, deleting it once no views remain
+async function dbTakeData(uuid) {
+    // The Primary Key to take
+    let primaryKeyId = uuid;
+    let timeStamp = getTimeStamp();
+    let note = await store.takeData(primaryKeyId, timeStamp, getTombstoneExpiry());
+    if (note) {
+        notesRead.inc();
+        if (note.views < 1) {
+            // Log to console
+            log.info('STORAGE', 'Purged {id}', { id: primaryKeyId });
+        }
+        // Let the sender know, if they asked to be told
+        if (note.webhook) {
+            webhookSender.send(note.webhook, primaryKeyId, timeStamp, note.views);
+        }
+        return note;
+    } else {
+        return false;
+    }
+};
+
+// Find what happened to a note, from the note itself or the tombstone left once it was deleted
+// Returns { status, state, at, views } (status is the status token hash), or false if there's nothing to report
+async function dbFindStatus(uuid) {
+    let timeStamp = getTimeStamp();
+    let note = await store.findData(uuid, timeStamp);
+    if (note) {
+        // Once a note has been read it stays read, even if views remain
+        return { status: note.status, state: note.read ? 'read' : 'pending', at: note.read, views: note.views };
+    }
+    let tombstone = await store.findTombstone(uuid, timeStamp);
+    if (tombstone) {
+        // A note that was read before it expired or was revoked still counts as read
+        if (tombstone.read) {
+            return { status: tombstone.status, state: 'read', at: tombstone.read, views: 0 };
+        }
+        return { status: tombstone.status, state: tombstone.state, at: tombstone.at, views: 0 };
+    }
+    return false;
+};
+
 // Print Table contents to log (OPTIONAL)
-function dbDumpTable() {
-    // Prepare the SQL statement and execute
-    let dump = db.prepare('SELECT uuid, created FROM notelock');
-    let contents = dump.all();
+async function dbDumpTable() {
+    let contents = await store.dumpTable();
     // Log to console
-    let timeStamp = getTimeStamp();
-    console.log("[SQLITE3]", timeStamp, ":", "Printing database contents...");
+    log.info('STORAGE', 'Printing database contents...');
     if (contents.length > 0) {
-        console.table(contents);
+        for (let row of contents) {
+            log.info('STORAGE', '{id} created {created}, expires {expires}, {views} view(s) left', { id: row.uuid, created: row.created, expires: row.expires, views: row.views });
+        }
     } else {
-        console.log("[SQLITE3]", timeStamp, ":", "Database is currently empty");
+        log.info('STORAGE', 'Database is currently empty');
     };
 };
 
 // Delete Table data by Primary_Key value
-function dbDeleteValue(uuid) {
+async function dbDeleteValue(uuid) {
     // The Primary Key to delete
     let primaryKeyId = uuid;
-    // Prepare the SQL statement and execute
-    let del = db.prepare('DELETE FROM notelock WHERE uuid = ?');
-    let delValue = del.run(primaryKeyId);
+    let delValue = await store.deleteValue(primaryKeyId, getTimeStamp(), getTombstoneExpiry());
     // Log to console
-    let timeStamp = getTimeStamp();
     if (delValue) {
-        console.log("[SQLITE3]", timeStamp, ":", "Purged", primaryKeyId);
+        notesRevoked.inc();
+        log.info('STORAGE', 'Purged {id}', { id: primaryKeyId });
     } else {
-        return console.error(err.message);
+        log.info('STORAGE', 'Nothing to purge for {id}', { id: primaryKeyId });
     };
+    return delValue;
 };
 
-// Delete Table data by Timestamp if older than 24 hours
-function dbExpireValue() {
+// Delete Table data by Timestamp if past its expiration
+async function dbExpireValue() {
     // Log to console
     let timeStamp = getTimeStamp();
-    console.log("[SQLITE3]", timeStamp, ":", "Checking for rows older than 24 hours...");
-    // Prepare the SQL statement and execute
-    let deleteOldData = db.prepare(`DELETE FROM notelock WHERE created < datetime('now', '-${noteLife} hours')`);
-    let delValue = deleteOldData.run();
+    log.debug('STORAGE', 'Checking for expired rows...');
+    let changes = await store.expireValue(timeStamp, getTombstoneExpiry());
     // Log to console
-    timeStamp = getTimeStamp();
-    if (delValue.changes > 0) {
-        console.log("[SQLITE3]", timeStamp, ":", "Purged", delValue.changes, "rows older than 24 hours.");
+    if (changes > 0) {
+        notesExpired.inc({}, changes);
+        log.info('STORAGE', `Purged ${changes} expired rows.`);
     } else {
-        console.log("[SQLITE3]", timeStamp, ":", "No rows found");
+        log.debug('STORAGE', 'No rows found');
     }
 }
 
+// List every note in the Table, without its ciphertext
+async function dbListNotes() {
+    return await store.dumpTable();
+};
+
+// Count what's in the Table, without reading any ciphertext
+async function dbGetStats() {
+    return await store.getStats(getTimeStamp());
+};
+
+// Measure what's in the Table against the storage quotas, counting the notes owned by owner
+async function dbGetUsage(owner) {
+    return await store.getUsage(owner, getTimeStamp());
+};
+
+// Delete every note, tombstone and reservation from the Table
+async function dbPurgeAll() {
+    let changes = await store.purgeAll();
+    // Log to console
+    log.info('STORAGE', `Purged all ${changes} rows.`);
+    return changes;
+};
+
+// Reserve a new UUID for a sender to bind their ciphertext to, held for reserveLife minutes
+async function dbReserveId() {
+    let expires = new Date(Date.now() + reserveLife * 60 * 1000).toISOString();
+    // Make sure the UUID is unique
+    while (true) {
+        let noteId = nanoid(); // Use nanoid to generate a 21-char url-safe UUID
+        if (await store.reserveId(noteId, getTimeStamp(), expires)) {
+            return { id: noteId, expires: expires };
+        }
+    }
+};
+
+// Add an empty drop box to the Table, open until its requester's secret is sent to it, expiring after options.lifetime
+async function dbAddBox(newID, options, owner) {
+    let timeStamp = getTimeStamp();
+    let expires = null;
+    if (exInterval > 0) {
+        expires = new Date(Date.now() + options.lifetime * 60 * 1000).toISOString();
+    }
+    await store.addData({
+        uuid: newID,
+        note: '',
+        attachments: null,
+        created: timeStamp,
+        expires: expires,
+        views: 1, // Read once, by the requester
+        revoke: null,
+        status: null,
+        webhook: null,
+        box: 'open',
+        owner: owner
+    });
+    return expires;
+};
+
+// Send a note into an open drop box, returning false if there's no such box (or it was already filled)
+async function dbFillBox(uuid, cipherText, attachments) {
+    return await store.fillBox(uuid, getTimeStamp(), cipherText, attachments);
+};
+
+// Claim a reserved UUID so its note can be stored, returning false if it isn't held (or the reservation expired)
+async function dbClaimId(uuid) {
+    if (typeof uuid !== 'string' || uuid.length !== 21) {
+        return false;
+    }
+    return await store.claimId(uuid, getTimeStamp());
+};
+
+// Check if a UUID is reserved (and the reservation hasn't expired), without claiming it
+async function dbFindReservation(uuid) {
+    if (typeof uuid !== 'string' || uuid.length !== 21) {
+        return false;
+    }
+    return await store.findReservation(uuid, getTimeStamp());
+};
+
 // Recurring Task - Check for expired rows
 const expireInterval = exInterval * 60 * 1000;
+const workerId = nanoid(); // Tells this notelock apart from others sharing the database
+let expiryWorker = false;
+
+// Only one notelock sharing the database checks for expired rows, holding a lease on the task for two intervals
+// It gives the lease up when it stops, so another (or itself, restarted) takes over at its next check, and if it
+// crashes, another takes over once the lease runs out
+async function runExpiryWorker() {
+    try {
+        let until = new Date(Date.now() + 2 * expireInterval).toISOString();
+        let claimed = await store.claimWorker('expiry', workerId, getTimeStamp(), until);
+        if (claimed !== expiryWorker) {
+            expiryWorker = claimed;
+            log.info('STORAGE', claimed ? 'This notelock is now checking for expired rows' : 'Another notelock is now checking for expired rows');
+        }
+        if (claimed) {
+            await dbExpireValue();
+        }
+    } catch (err) {
+        log.error('STORAGE', `Expired rows check failed: ${err.message}`);
+    }
+}
+
 if (expireInterval > 0) {
-    console.log("[CONFIG] Notes are set to expire after", noteLife, "hours");
-    console.log("[CONFIG] DB rows will check for expiration every", exInterval, "minute(s)");
-    setInterval(dbExpireValue, expireInterval);
+    log.info('CONFIG', `Notes are set to expire after ${noteLife} hours, unless the sender chooses between ${noteMinLife} minute(s) and ${noteMaxLife} hours`);
+    log.info('CONFIG', `DB rows will check for expiration every ${exInterval} minute(s)`);
+    runExpiryWorker(); // Catch up on notes that expired while notelock was stopped
+    setInterval(runExpiryWorker, expireInterval);
 } else {
-    console.log("[CONFIG] Notes will never expire");
+    log.info('CONFIG', 'Notes will never expire');
 };
+log.info('CONFIG', `Senders can allow notes to be read up to ${noteMaxViews} time(s)`);
+if (attachMaxSize > 0) {
+    log.info('CONFIG', `Senders can attach up to ${attachMaxFiles} file(s) to a note, totalling ${attachMaxSize} megabyte(s)`);
+} else {
+    log.info('CONFIG', 'File attachments are disabled');
+}
+log.info('CONFIG', `Notes can be up to ${noteMaxSize} kilobyte(s) of ciphertext, not counting attachments`);
+if (storageMaxSize > 0) {
+    log.info('CONFIG', `Notes will stop being accepted once ${storageMaxSize} megabyte(s) of ciphertext are stored`);
+}
+if (subnetMaxNotes > 0) {
+    log.info('CONFIG', `Clients can have up to ${subnetMaxNotes} unread note(s) at once`);
+}
+log.info('CONFIG', `Read receipts are kept for ${statusLife} hours after a note is gone`);
+if (webhooks) {
+    log.info('CONFIG', 'Senders can supply a webhook URL to be notified when a note is read');
+}
 
 // Recurring Task - Print database contents
 const printInterval = prInterval * 60 * 1000;
 if (printInterval > 0) {
-    console.log("[CONFIG] DB contents will print every", prInterval, "minute(s)");
+    log.info('CONFIG', `DB contents will print every ${prInterval} minute(s)`);
     setInterval(dbDumpTable, printInterval);
 } else {
-    console.log("[CONFIG] DB contents will not print to console");
+    log.info('CONFIG', 'DB contents will not print to console');
 }
 
 //#endregion
@@ -297,65 +945,747 @@ if (printInterval > 0) {
 //#region API CALLS
 /////////////////////////////////
 
-// POST data to the DB
-app.post('/encrypt', encLimiter, async (req, res) => {
-    let client = req.ip.split(":").pop(); // Get the client IP
-    let note = req.body; // Get the encrypted message
+// Get the base URL for note links, from the tenant's public URL or the request's host, so links keep the hostname
+// the sender used (only the default tenant falls back to the configured publicUrl)
+// The host is read like the tenant's hostname, from X-Forwarded-Host behind a trusted proxy, keeping any port
+function getBaseUrl(req) {
+    if (req.tenant.publicUrl != "") {
+        return req.tenant.publicUrl.replace(/\/+$/, '');
+    }
+    return `https://${req.host}`;
+}
+
+// Check the lifetime (in minutes) and views chosen by the sender, falling back to the tenant's defaults
+// Any attachments must be bound to context, the ID the note is stored under (or null if it has none)
+function getNoteOptions(note, tenant, context = null) {
+    let { noteLife, noteMinLife, noteMaxLife, noteMaxViews } = tenant;
+    let lifetime = (note.expire === undefined || note.expire === '') ? noteLife * 60 : Number(note.expire);
+    let views = (note.views === undefined || note.views === '') ? 1 : Number(note.views);
+    if (!Number.isInteger(lifetime) || lifetime < noteMinLife || lifetime > noteMaxLife * 60) {
+        return { error: `expiration must be between ${noteMinLife} minute(s) and ${noteMaxLife} hour(s)` };
+    }
+    if (!Number.isInteger(views) || views < 1 || views > noteMaxViews) {
+        return { error: `views must be between 1 and ${noteMaxViews}` };
+    }
+    let webhook = (note.webhook === undefined || note.webhook === '') ? null : note.webhook;
+    if (webhook !== null) {
+        if (!webhooks) {
+            return { error: 'webhooks are disabled on this server' };
+        }
+        if (typeof webhook !== 'string' || webhook.length > 2048 || !/^https?:\/\/[^/?#]+/.test(webhook) || !URL.canParse(webhook)) {
+            return { error: 'webhook must be an http(s) URL' };
+        }
+        if (isPrivateAddress(new URL(webhook).hostname.replace(/^\[|\]$/g, ''))) {
+            return { error: 'webhook must not be at a private address' };
+        }
+    }
+    let attachments = getNoteAttachments(note, context);
+    if (attachments.error) {
+        return attachments;
+    }
+    return { lifetime: lifetime, views: views, webhook: webhook, attachments: attachments.attachments };
+}
+
+// Check the encrypted files sent with a note, as an array (or a JSON string, from forms) of { meta, data }
+// Each is a ciphertext envelope (or a legacy Base64 IV and ciphertext), like the note itself, bound to the same context
+// Returns { attachments } as a JSON string (or null), or { error }
+function getNoteAttachments(note, context = null) {
+    let attachments = note.attachments;
+    if (attachments === undefined || attachments === '') {
+        return { attachments: null };
+    }
+    if (attachMaxSize === 0) {
+        return { error: 'attachments are disabled on this server' };
+    }
+    if (typeof attachments === 'string') {
+        try {
+            attachments = JSON.parse(attachments);
+        } catch (err) {
+            return { error: 'attachments must be an array' };
+        }
+    }
+    if (!Array.isArray(attachments) || attachments.length > attachMaxFiles) {
+        return { error: `attachments must be an array of up to ${attachMaxFiles} file(s)` };
+    }
+    let size = 0;
+    for (let file of attachments) {
+        if (!file || getCipherSize(file.meta) < 0 || getCipherSize(file.data) < 0) {
+            return { error: 'each attachment must have an encrypted meta and data' };
+        }
+        if (!isCipherBound(file.meta, context) || !isCipherBound(file.data, context)) {
+            return { error: 'each attachment must be bound to the note id' };
+        }
+        size += getCipherSize(file.data);
+    }
+    if (size > attachMaxSize * 1024 * 1024) {
+        return { error: `attachments can not be larger than ${attachMaxSize} megabyte(s) in total` };
+    }
+    return { attachments: JSON.stringify(attachments.map((file) => ({ meta: file.meta, data: file.data }))) };
+}
+
+// Get the size of what a ciphertext holds, less the AES-GCM tag, or -1 if it isn't one
+// Accepts an "nl1." envelope (see docs/envelope.md) whose header names an algorithm and a 96-bit IV, or a legacy
+// Base64 IV (16 characters) and ciphertext, either way with at least the 16 byte tag
+function getCipherSize(value) {
+    if (typeof value !== 'string') {
+        return -1;
+    }
+    let envelope = /^nl1\.([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]{22,})$/.exec(value);
+    if (envelope) {
+        let header;
+        try {
+            header = JSON.parse(Buffer.from(envelope[1], 'base64url').toString());
+        } catch (err) {
+            return -1;
+        }
+        if (!header || typeof header.alg !== 'string' || !/^[A-Za-z0-9_-]{16}$/.test(header.iv)) {
+            return -1;
+        }
+        return Buffer.byteLength(envelope[2], 'base64url') - 16;
+    }
+    if (value.length >= 40 && /^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+        return Buffer.byteLength(value.substring(16), 'base64') - 16;
+    }
+    return -1;
+}
+
+// Check if a ciphertext is bound to context, the ID it's stored under (or null if it has none), as readers expect
+// Envelopes must be, so a reader can tell the server didn't move them, only legacy ciphertexts are never bound
+function isCipherBound(value, context) {
+    let envelope = /^nl1\.([A-Za-z0-9_-]+)\./.exec(value);
+    if (!envelope) {
+        return true;
+    }
+    let header;
+    try {
+        header = JSON.parse(Buffer.from(envelope[1], 'base64url').toString());
+    } catch (err) {
+        return false;
+    }
+    return context !== null && header !== null && header.aad === context;
+}
+
+// Check a note's ciphertext before storing it under context (its reserved ID or drop box, or null if it has neither),
+// returning { status, code, message } if it's refused, or false
+// Legacy passphrase notes are led by "p." and a Base64 salt (24 characters)
+function getCipherError(cipher, context = null) {
+    let legacySalt = /^p\.[A-Za-z0-9+/]{22}==/;
+    if (typeof cipher !== 'string' || getCipherSize(legacySalt.test(cipher) ? cipher.substring(26) : cipher) < 0) {
+        return { status: 400, code: 'invalid_cipher', message: 'the note must be a ciphertext envelope' };
+    }
+    if (!isCipherBound(cipher, context)) {
+        return { status: 400, code: 'invalid_cipher', message: 'the note must be bound to its reserved id, see docs/envelope.md' };
+    }
+    if (Buffer.byteLength(cipher) > noteMaxSize * 1024) {
+        return { status: 413, code: 'payload_too_large', message: `the note can not be larger than ${noteMaxSize} kilobyte(s)` };
+    }
+    return false;
+}
+
+// Get the owner stored with a client's notes, a hash of their subnet (keyed like the rate limits)
+// API tokens and allow listed clients have no owner, so they aren't held to subnetMaxNotes
+function getNoteOwner(req) {
+    if (req.token || isAllowListed(req)) {
+        return null;
+    }
+    return hashToken(ipKeyGenerator(req.ip, subMask));
+}
+
+// Check the storage quotas before storing size more bytes for owner, returning { status, code, message } if they
+// would be exceeded, or false
+// Notes sent at the same moment can all pass before any is stored, so the quotas can be overshot by a little
+async function getQuotaError(req, owner, size) {
+    if (storageMaxSize === 0 && (owner === null || subnetMaxNotes === 0)) {
+        return false;
+    }
+    let used = await dbGetUsage(owner);
+    if (storageMaxSize > 0 && used.bytes + size > storageMaxSize * 1024 * 1024) {
+        log.warn('NOTELOCK', `Refusing a note from {client}, ${storageMaxSize} megabyte(s) of storage are used up`, { client: getClientIp(req) });
+        return { status: 507, code: 'storage_full', message: 'the server has no room for new notes, please try again later' };
+    }
+    if (owner !== null && subnetMaxNotes > 0 && used.notes >= subnetMaxNotes) {
+        log.warn('NOTELOCK', 'Refusing a note from {client}, who has too many unread notes', { client: getClientIp(req) });
+        rateLimitHits.inc({ limiter: 'quota' });
+        usage.recordBlock(ipKeyGenerator(req.ip, subMask), 'quota');
+        return { status: 429, code: 'quota_exceeded', message: `there are already ${subnetMaxNotes} unread note(s) from your network, please wait until some are read or expire` };
+    }
+    return false;
+}
+
+// Count the bytes a note asks to store, for the upload limit
+function getNoteSize(note) {
+    let size = Buffer.byteLength(`${note.cipher || ''}`);
+    if (typeof note.attachments === 'string') {
+        size += Buffer.byteLength(note.attachments);
+    } else if (note.attachments !== undefined) {
+        size += Buffer.byteLength(JSON.stringify(note.attachments));
+    }
+    return size;
+}
+
+// Store a new note under a unique UUID, returning the UUID, when it expires and its revoke and status tokens
+// A UUID reserved with dbReserveId (and already claimed) can be given, so the note keeps the ID it was bound to
+async function createNote(cipherText, options, owner, reservedId = null) {
+    let revokeToken = crypto.randomBytes(32).toString('base64url'); // Only the sender gets these
+    let statusToken = crypto.randomBytes(32).toString('base64url');
+    if (reservedId !== null) {
+        let expires = await dbAddData(reservedId, cipherText, options, owner, revokeToken, statusToken);
+        notesCreated.inc({ kind: 'note' });
+        return { id: reservedId, expires: expires, revokeToken: revokeToken, statusToken: statusToken };
+    }
     // Make sure the UUID is unique
     let noteId;
     while (true) {
         noteId = nanoid(); // Use nanoid to generate a 21-char url-safe UUID
         if (!(await dbFindData(noteId))) {
-            await dbAddData(noteId, note.cipher);
-            break;
+            let expires = await dbAddData(noteId, cipherText, options, owner, revokeToken, statusToken);
+            notesCreated.inc({ kind: 'note' });
+            return { id: noteId, expires: expires, revokeToken: revokeToken, statusToken: statusToken };
+        };
+    };
+}
+
+// Open a new drop box under a unique UUID, returning the UUID and when it expires
+async function createBox(options, owner) {
+    // Make sure the UUID is unique
+    while (true) {
+        let boxId = nanoid(); // Use nanoid to generate a 21-char url-safe UUID
+        if (!(await dbFindData(boxId))) {
+            let expires = await dbAddBox(boxId, options, owner);
+            notesCreated.inc({ kind: 'box' });
+            return { id: boxId, expires: expires };
         };
     };
+}
+
+// Form the sender's revoke URL, the token goes in the fragment so it never shows up in server logs
+function getRevokeUrl(req, noteId, revokeToken) {
+    return `${getBaseUrl(req)}/revoke?n=${noteId}#${revokeToken}`;
+}
+
+// Form the sender's status URL, which shows whether the note has been read (the token goes in the fragment, as above)
+function getStatusUrl(req, noteId, statusToken) {
+    return `${getBaseUrl(req)}/status?n=${noteId}#${statusToken}`;
+}
+
+// Check a revoke or status token against the hash stored with a note
+function checkTokenHash(hash, token) {
+    if (!hash || typeof token !== 'string') {
+        return false;
+    }
+    let expected = Buffer.from(hash, 'hex');
+    let actual = Buffer.from(hashToken(token), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Read receipts for webhooks, never sent to private, loopback or link-local addresses
+const webhookSender = createWebhookSender({ log: log });
+
+// Issue a proof-of-work challenge, for encryption requests refused with 428 until one is solved
+app.post('/challenge', async (req, res) => {
+    if (powMode === 'off') {
+        res.status(404).json({ id: 'ERROR', reason: 'invalid', message: 'proof-of-work challenges are not used on this server' });
+        return;
+    }
+    res.json(await issueChallenge(req));
+});
+
+// Reserve a note ID, so the sender can bind their ciphertext to it before uploading (counts as an encryption request)
+app.post('/reserve', tokenAuth, requireChallenge, encLimiter, tokLimiter, async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    // Turn the sender away before they encrypt, if they couldn't store the note anyway
+    let refused = await getQuotaError(req, getNoteOwner(req), 0);
+    if (refused) {
+        res.status(refused.status).json({ id: 'ERROR', reason: 'quota', message: refused.message });
+        return;
+    }
+    let reserved = await dbReserveId();
+    res.json({ id: reserved.id, expires: reserved.expires });
+    // Log action to console
+    log.info('NOTELOCK', '{client} reserved {id}', { client: client, id: reserved.id });
+});
+
+// POST data to the DB (form data, kept for the encryption page and older clients, see /api/v1/notes)
+// Stored under a reserved ID if the form has one (n), or a new one otherwise
+app.post('/encrypt', tokenAuth, checkReservation, requireChallenge, encLimiter, tokLimiter, byteLimiter, async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    let note = req.body || {}; // Get the encrypted message
+    // Validate the ciphertext and note options
+    let invalid = getCipherError(note.cipher, req.reserved || null);
+    if (invalid) {
+        res.status(invalid.status).json({ id: 'ERROR', reason: 'invalid', message: invalid.message });
+        return;
+    }
+    let options = getNoteOptions(note, req.tenant, req.reserved || null);
+    if (options.error) {
+        res.status(400).json({ id: 'ERROR', reason: 'invalid', message: options.error });
+        return;
+    }
+    let owner = getNoteOwner(req);
+    let refused = await getQuotaError(req, owner, getNoteSize(note));
+    if (refused) {
+        res.status(refused.status).json({ id: 'ERROR', reason: 'quota', message: refused.message });
+        return;
+    }
+    if (req.reserved && !(await dbClaimId(req.reserved))) {
+        return sendReservationExpired(req, res);
+    }
+    let created = await createNote(note.cipher, options, owner, req.reserved || null);
+    let noteId = created.id;
+    if (req.token) {
+        usage.recordToken(req.token.id, getNoteSize(note));
+    }
     // Form URL
-    const noteUrl = `https://${req.get('host')}/?n=${noteId}#`;
-    // Respond with a JSON object containing the URL
-    res.json({ id: noteUrl });
+    const noteUrl = `${getBaseUrl(req)}/?n=${noteId}#`;
+    // Respond with a JSON object containing the URL, and the sender's private revoke and status URLs
+    res.json({ id: noteUrl, revoke: getRevokeUrl(req, noteId, created.revokeToken), status: getStatusUrl(req, noteId, created.statusToken) });
     // Log action to console
-    let timeStamp = getTimeStamp();
-    console.log("[NOTELOCK]", timeStamp, ":", client, "posted", noteId);
+    if (req.token) {
+        log.info('NOTELOCK', '{client} posted {id} using token {token}', { client: client, id: noteId, token: req.token.id });
+    } else {
+        log.info('NOTELOCK', '{client} posted {id}', { client: client, id: noteId });
+    }
+});
+
+// Fetch a note from the DB and purge it
+app.post('/decrypt', readLimiter, async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    let note = req.body || {}; // Get the requested note
+    let noteId = `${note.n || ''}`.substring(0, 21); // Extract the UUID from the request
+    // Log request to console
+    log.info('NOTELOCK', '{client} revealed {id}', { client: client, id: noteId });
+    // Use up a view of the DB entry in one step, so each view can only ever be served once
+    let cipherText = await dbTakeData(noteId);
+    if (cipherText) {
+        // Respond with the ciphertext, any attachments, how many views remain and when it expires (for the reader to check)
+        res.json({ cipher: cipherText.note, attachments: JSON.parse(cipherText.attachments || '[]'), views: cipherText.views, expires: cipherText.expires });
+    } else {
+        // Respond with error
+        log.info('NOTELOCK', 'Note was not found');
+        res.status(404).json({ cipher: '' });
+    };
+});
+
+// Render the request a secret page
+app.get('/request', (req, res) => {
+    if (apiOnly) {
+        // If we're running API Only, show a featureless webpage
+        res.render('note.ejs', { apionly: apiOnly });
+    } else {
+        res.render('request.ejs', { apionly: apiOnly, expires: exInterval > 0, life: req.tenant.noteLife * 60, minlife: req.tenant.noteMinLife, maxlife: req.tenant.noteMaxLife * 60 });
+    }
+});
+
+// Open a drop box for a requested secret (always counts as an encryption request, boxes are never opened under a reserved ID)
+// The requester's browser keeps the key pair, the public key goes in the upload link and the private key in the open link
+app.post('/request', tokenAuth, requireChallenge, encLimiter, tokLimiter, async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    let body = req.body || {};
+    // Validate the box's lifetime, the secret is read once
+    let options = getNoteOptions({ expire: body.expire }, req.tenant);
+    if (options.error) {
+        res.status(400).json({ id: 'ERROR', reason: 'invalid', message: options.error });
+        return;
+    }
+    // An open box counts as one of the requester's notes
+    let owner = getNoteOwner(req);
+    let refused = await getQuotaError(req, owner, 0);
+    if (refused) {
+        res.status(refused.status).json({ id: 'ERROR', reason: 'quota', message: refused.message });
+        return;
+    }
+    let box = await createBox(options, owner);
+    if (req.token) {
+        usage.recordToken(req.token.id, 0);
+    }
+    // Respond with the upload and open URLs, for the requester's keys to be added to
+    res.json({ upload: `${getBaseUrl(req)}/drop?n=${box.id}#`, open: `${getBaseUrl(req)}/?n=${box.id}#`, expires: box.expires });
+    // Log action to console
+    if (req.token) {
+        log.info('NOTELOCK', '{client} requested a secret as {id} using token {token}', { client: client, id: box.id, token: req.token.id });
+    } else {
+        log.info('NOTELOCK', '{client} requested a secret as {id}', { client: client, id: box.id });
+    }
+});
+
+// Render the drop page, where a secret is encrypted to the requester's public key (from the URL fragment)
+app.get('/drop', readLimiter, async (req, res) => {
+    let boxId = `${req.query.n || ''}`.substring(0, 21); // Extract the UUID from the query string
+    let box = boxId && await dbFindData(boxId);
+    res.render('drop.ejs', { note: box && box.box === 'open' ? boxId : '', apionly: apiOnly, maxfilesize: attachMaxSize, maxfiles: attachMaxFiles });
+});
+
+// Send an encrypted secret into an open drop box, which can only be done once
+// Only the upload limit applies, the box was counted as an encryption request when it was opened
+app.post('/drop', readLimiter, byteLimiter, async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    let body = req.body || {};
+    let boxId = `${body.n || ''}`.substring(0, 21); // Extract the UUID from the request
+    let invalid = getCipherError(body.cipher, boxId);
+    if (invalid) {
+        res.status(invalid.status).json({ sent: false, message: invalid.message });
+        return;
+    }
+    let attachments = getNoteAttachments(body, boxId);
+    if (attachments.error) {
+        res.status(400).json({ sent: false, message: attachments.error });
+        return;
+    }
+    // The secret is the requester's note, so only the storage budget applies to whoever sends it
+    let refused = await getQuotaError(req, null, getNoteSize(body));
+    if (refused) {
+        res.status(refused.status).json({ sent: false, message: refused.message });
+        return;
+    }
+    // Log request to console
+    log.info('NOTELOCK', '{client} dropped a secret into {id}', { client: client, id: boxId });
+    if (await dbFillBox(boxId, body.cipher, attachments.attachments)) {
+        res.json({ sent: true });
+    } else {
+        log.info('NOTELOCK', 'Box was not found, or was already filled');
+        res.status(404).json({ sent: false });
+    };
+});
+
+// Render the revoke page (the revoke token stays in the URL fragment until the sender confirms)
+app.get('/revoke', readLimiter, async (req, res) => {
+    let noteId = `${req.query.n || ''}`.substring(0, 21); // Extract the UUID from the query string
+    let note = noteId && await dbFindData(noteId);
+    res.render('revoke.ejs', { note: note ? noteId : '', apionly: apiOnly });
+});
+
+// Delete a note when presented with its revoke token
+app.post('/revoke', readLimiter, async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    let body = req.body || {};
+    let noteId = `${body.n || ''}`.substring(0, 21); // Extract the UUID from the request
+    // Log request to console
+    log.info('NOTELOCK', '{client} revoked {id}', { client: client, id: noteId });
+    let note = await dbFindData(noteId);
+    if (note && checkTokenHash(note.revoke, body.token)) {
+        await dbDeleteValue(noteId); // Purge the note from the DB
+        res.json({ revoked: true });
+    } else {
+        log.info('NOTELOCK', 'Note was not found, or the revoke token was incorrect');
+        res.status(404).json({ revoked: false });
+    };
+});
+
+// Render the status page (the status token stays in the URL fragment, and is sent by the page)
+app.get('/status', (req, res) => {
+    let noteId = `${req.query.n || ''}`.substring(0, 21); // Extract the UUID from the query string
+    res.render('status.ejs', { note: noteId, apionly: apiOnly });
+});
+
+// Report whether a note has been read when presented with its status token
+app.post('/status', readLimiter, async (req, res) => {
+    let body = req.body || {};
+    let noteId = `${body.n || ''}`.substring(0, 21); // Extract the UUID from the request
+    let status = await dbFindStatus(noteId);
+    if (status && checkTokenHash(status.status, body.token)) {
+        res.json({ state: status.state, at: status.at, views: status.views });
+    } else {
+        res.status(404).json({ state: '' });
+    };
 });
 
 // Render the website
-app.get('/', async (req, res) => {
+app.get('/', readLimiter, async (req, res) => {
     const note = req.query.n; // Check for a note to decrypt
-    // If we have a note, attempt to decrypt it
+    // If we have a note, show the reveal page (the note is only purged once revealed)
     if (note) {
-        let client = req.ip.split(":").pop(); // Get the client IP
-        let noteId = note.substring(0, 21); // Extract the UUID from the query string
+        let client = getClientIp(req); // Get the client IP
+        let noteId = `${note}`.substring(0, 21); // Extract the UUID from the query string
         // Log request to console
-        let timeStamp = getTimeStamp();
-        console.log("[NOTELOCK]", timeStamp, ":", client, "requested", noteId);
+        log.info('NOTELOCK', '{client} requested {id}', { client: client, id: noteId });
         // Find the DB entry
-        let cipherText = await dbFindData(noteId);  
-        if (cipherText) {
-            // Respond with the decryption page
-            res.render('note.ejs', { cipher: cipherText, apionly: apiOnly, branding: customBranding });
-            dbDeleteValue(noteId); // Purge the note from the DB
+        let cipherText = await dbFindData(noteId);
+        if (cipherText && cipherText.box === 'open') {
+            // Nothing has been sent to this drop box yet
+            res.render('note.ejs', { waiting: noteId, apionly: apiOnly });
+        } else if (cipherText) {
+            // Respond with the reveal page
+            res.render('note.ejs', { note: noteId, apionly: apiOnly });
         } else {
             // Respond with error
-            console.log("[NOTELOCK]", timeStamp, ":", "Note was not found");
-            res.render('note.ejs', { cipher: '', apionly: apiOnly, branding: customBranding });
+            log.info('NOTELOCK', 'Note was not found');
+            res.render('note.ejs', { note: '', apionly: apiOnly });
         };
     } else {
         if (apiOnly) {
             // If we're running API Only, show a featureless webpage
-            res.render('note.ejs', { apionly: apiOnly, branding: customBranding });
+            res.render('note.ejs', { apionly: apiOnly });
         } else {
             // If there's no note, just render the webpage
-            res.render('index.ejs', { apionly: apiOnly, branding: customBranding });
+            res.render('index.ejs', { apionly: apiOnly, expires: exInterval > 0, life: req.tenant.noteLife * 60, minlife: req.tenant.noteMinLife, maxlife: req.tenant.noteMaxLife * 60, maxviews: req.tenant.noteMaxViews, maxfilesize: attachMaxSize, maxfiles: attachMaxFiles });
         }
     };
 });
 
+//#endregion
+
+//-----------------------
+
+/////////////////////////////////
+//#region ADMIN
+/////////////////////////////////
+
+// The admin token is only ever compared by hash, and the admin area is disabled without one
+const adminHash = adminToken !== '' ? hashToken(adminToken) : null;
+if (adminHash) {
+    log.info('CONFIG', 'The admin dashboard is enabled at /admin, with the admin API at /api/v1/admin');
+} else {
+    log.info('CONFIG', 'The admin dashboard is disabled, set adminToken to enable it');
+}
+
+// Check the admin bearer token on a request, acting as if the admin API doesn't exist when it's disabled
+function adminAuth(req, res, next) {
+    if (!adminHash) {
+        return sendApiError(res, 404, 'not_found', 'unknown api route');
+    }
+    let header = req.get('authorization') || '';
+    if (!header.startsWith('Bearer ') || !checkTokenHash(adminHash, header.substring(7).trim())) {
+        let client = getClientIp(req); // Get the client IP
+        log.warn('ADMIN', 'Rejecting {client} for an invalid admin token', { client: client });
+        res.set('WWW-Authenticate', 'Bearer');
+        return sendApiError(res, 401, 'unauthorized', 'a valid admin token is required');
+    }
+    next();
+}
+
+// Render the admin dashboard (the page asks for the admin token, and sends it to the admin API)
+app.get('/admin', (req, res) => {
+    if (!adminHash) {
+        return res.redirect("/");
+    }
+    res.render('admin.ejs', { apionly: apiOnly });
+});
+
+// Admin API, never sending ciphertext
+const adminApi = express.Router();
+adminApi.use(adminAuth);
+
+// Count notes, storage, blocked subnets and token usage
+adminApi.get('/stats', async (req, res) => {
+    let stats = await dbGetStats();
+    let counted = usage.snapshot();
+    // Every token on file, with what it did since notelock started (but never its hash)
+    let tokens = readTokens(tokenFile).map((token) => Object.assign({
+        id: token.id,
+        label: token.label,
+        limit: token.limit,
+        created: token.created,
+        revoked: token.revoked
+    }, counted.tokens[token.id] || { notes: 0, bytes: 0, blocked: 0, last: null }));
+    res.json({
+        since: counted.since,
+        notes: { live: stats.live, boxes: stats.boxes, reserved: stats.reserved, read: stats.read, expired: stats.expired, revoked: stats.revoked },
+        storage: { driver: dbDriver, bytes: stats.bytes, databaseBytes: stats.databaseBytes },
+        blocks: counted.blocks,
+        tokens: tokens
+    });
+});
+
+// List every note, without its ciphertext
+adminApi.get('/notes', async (req, res) => {
+    res.json({ notes: await dbListNotes() });
+});
+
+// Purge a note by ID, leaving a 'revoked' tombstone if it has a read receipt
+adminApi.delete('/notes/:id', async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    log.info('ADMIN', '{client} purged {id}', { client: client, id: req.params.id });
+    if (!(await dbDeleteValue(req.params.id))) {
+        return sendApiError(res, 404, 'not_found', 'note does not exist, has expired or has already been read');
+    }
+    res.status(204).end();
+});
+
+// Purge every note, along with every tombstone and reservation
+adminApi.delete('/notes', async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    log.info('ADMIN', '{client} purged every note', { client: client });
+    res.json({ purged: await dbPurgeAll() });
+});
+
+app.use('/api/v1/admin', adminApi);
+
+//#endregion
+
+//-----------------------
+
+/////////////////////////////////
+//#region API V1
+/////////////////////////////////
+
+// JSON API, described by docs/openapi.json (served at /api/v1/openapi.json)
+const apiV1 = express.Router();
+
+// Issue a proof-of-work challenge, to solve and send as "pow" when reserving an ID or creating a note without a token
+apiV1.post('/challenges', async (req, res) => {
+    if (powMode === 'off') {
+        return sendApiError(res, 404, 'not_found', 'proof-of-work challenges are not used on this server');
+    }
+    res.status(201).json(await issueChallenge(req));
+});
+
+// Reserve a note ID to bind a ciphertext to, before creating the note with it (counts as an encryption request)
+apiV1.post('/reservations', tokenAuth, requireChallenge, encLimiter, tokLimiter, async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    let refused = await getQuotaError(req, getNoteOwner(req), 0);
+    if (refused) {
+        return sendApiError(res, refused.status, refused.code, refused.message);
+    }
+    let reserved = await dbReserveId();
+    res.status(201).json({ id: reserved.id, expires: reserved.expires });
+    // Log action to console
+    log.info('NOTELOCK', '{client} reserved {id}', { client: client, id: reserved.id });
+});
+
+// Create a note, under a reserved ID if one is given
+apiV1.post('/notes', tokenAuth, checkReservation, requireChallenge, encLimiter, tokLimiter, byteLimiter, async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    let note = req.body || {}; // Get the encrypted message
+    // Validate the note
+    let invalid = getCipherError(note.cipher, req.reserved || null);
+    if (invalid) {
+        return sendApiError(res, invalid.status, invalid.code, invalid.message);
+    }
+    let options = getNoteOptions(note, req.tenant, req.reserved || null);
+    if (options.error) {
+        return sendApiError(res, 400, 'invalid_request', options.error);
+    }
+    let owner = getNoteOwner(req);
+    let refused = await getQuotaError(req, owner, getNoteSize(note));
+    if (refused) {
+        return sendApiError(res, refused.status, refused.code, refused.message);
+    }
+    if (req.reserved && !(await dbClaimId(req.reserved))) {
+        return sendReservationExpired(req, res);
+    }
+    let created = await createNote(note.cipher, options, owner, req.reserved || null);
+    if (req.token) {
+        usage.recordToken(req.token.id, getNoteSize(note));
+    }
+    // Respond with the note, its URL (the client appends the key), when it expires and how to revoke it
+    res.status(201).location(`/api/v1/notes/${created.id}`).json({
+        id: created.id,
+        url: `${getBaseUrl(req)}/?n=${created.id}#`,
+        expires: created.expires,
+        views: options.views,
+        revokeToken: created.revokeToken,
+        revokeUrl: getRevokeUrl(req, created.id, created.revokeToken),
+        statusToken: created.statusToken,
+        statusUrl: getStatusUrl(req, created.id, created.statusToken)
+    });
+    // Log action to console
+    if (req.token) {
+        log.info('NOTELOCK', '{client} posted {id} using token {token}', { client: client, id: created.id, token: req.token.id });
+    } else {
+        log.info('NOTELOCK', '{client} posted {id}', { client: client, id: created.id });
+    }
+});
+
+// Check that a note exists, without using up a view
+apiV1.get('/notes/:id', readLimiter, async (req, res) => {
+    let note = await dbFindData(req.params.id);
+    if (!note) {
+        return sendApiError(res, 404, 'not_found', 'note does not exist, has expired or has already been read');
+    }
+    res.json({ id: note.uuid, expires: note.expires, views: note.views });
+});
+
+// Fetch a note, using up a view (the note is purged after its last view)
+apiV1.post('/notes/:id/read', readLimiter, async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    let noteId = req.params.id;
+    // Log request to console
+    log.info('NOTELOCK', '{client} revealed {id}', { client: client, id: noteId });
+    let note = await dbTakeData(noteId);
+    if (!note) {
+        log.info('NOTELOCK', 'Note was not found');
+        return sendApiError(res, 404, 'not_found', 'note does not exist, has expired or has already been read');
+    }
+    res.json({ id: noteId, cipher: note.note, attachments: JSON.parse(note.attachments || '[]'), views: note.views, expires: note.expires });
+});
+
+// Check whether a note has been read, using the status token returned when it was created
+// Keeps answering after the note is gone, until its tombstone expires
+apiV1.get('/notes/:id/status', readLimiter, async (req, res) => {
+    let status = await dbFindStatus(req.params.id);
+    if (!status) {
+        return sendApiError(res, 404, 'not_found', 'note does not exist, or its status is no longer kept');
+    }
+    if (!checkTokenHash(status.status, req.get('x-status-token'))) {
+        return sendApiError(res, 403, 'forbidden', 'status token is missing or incorrect');
+    }
+    res.json({ id: req.params.id, state: status.state, at: status.at, views: status.views });
+});
+
+// Delete a note, using the revoke token returned when it was created
+apiV1.delete('/notes/:id', readLimiter, async (req, res) => {
+    let client = getClientIp(req); // Get the client IP
+    let noteId = req.params.id;
+    // Log request to console
+    log.info('NOTELOCK', '{client} revoked {id}', { client: client, id: noteId });
+    let note = await dbFindData(noteId);
+    if (!note) {
+        return sendApiError(res, 404, 'not_found', 'note does not exist, has expired or has already been read');
+    }
+    if (!checkTokenHash(note.revoke, req.get('x-revoke-token'))) {
+        return sendApiError(res, 403, 'forbidden', 'revoke token is missing or incorrect');
+    }
+    await dbDeleteValue(noteId);
+    res.status(204).end();
+});
+
+// Describe the API
+apiV1.get('/openapi.json', (req, res) => {
+    res.sendFile(__dirname + '/docs/openapi.json');
+});
+
+app.use('/api/v1', apiV1);
+
+// Unknown API routes
+app.all('/api/{*splat}', (req, res) => {
+    sendApiError(res, 404, 'not_found', 'unknown api route');
+});
+
+//#endregion
+
+//-----------------------
+
+/////////////////////////////////
+//#region FALLBACK
+/////////////////////////////////
+
 // Redirect everything else to the main website
 app.all('/{*splat}', async function(req, res){
     res.redirect("/");
 });
 
+// Send JSON API clients JSON errors (i.e. a malformed JSON body), everyone else gets the default
+app.use((err, req, res, next) => {
+    // The encryption and drop pages expect JSON too, when their files are too large
+    if (req.path === '/encrypt' && err.status === 413) {
+        return res.status(413).json({ id: 'ERROR', reason: 'invalid', message: 'message and files are too large' });
+    }
+    if (req.path === '/drop' && err.status === 413) {
+        return res.status(413).json({ sent: false, message: 'message and files are too large' });
+    }
+    if (!isApiRequest(req)) {
+        return next(err);
+    }
+    if (err.status === 413) {
+        return sendApiError(res, 413, 'payload_too_large', 'request body is too large');
+    }
+    if (err.status >= 400 && err.status < 500) {
+        return sendApiError(res, err.status, 'invalid_request', 'request body could not be parsed');
+    }
+    log.error('NOTELOCK', '{error}', { error: err.stack || `${err}` });
+    sendApiError(res, 500, 'server_error', 'something went wrong');
+});
+
 //#endregion
 
 //-----------------------
@@ -366,25 +1696,46 @@ app.all('/{*splat}', async function(req, res){
 
 async function startServers() {
     httpServer.listen(httpPort, () => {
-        let timeStamp = getTimeStamp();
-        console.log("[HTTP]", timeStamp, ":", "Listening on port", httpPort);
-    });
-    
-    httpsServer.listen(httpsPort, () => {
-        let timeStamp = getTimeStamp();
-        console.log("[HTTPS]", timeStamp, ":", "Listening on port", httpsPort);
+        log.info('HTTP', `Listening on port ${httpPort}`);
     });
+
+    // In reverse proxy mode, the proxy handles HTTPS
+    if (httpsServer) {
+        httpsServer.listen(httpsPort, () => {
+            log.info('HTTPS', `Listening on port ${httpsPort}`);
+        });
+    }
 };
 
+// Close the database cleanly when notelock is stopped, giving up the expired rows check
+async function stopServers() {
+    log.info('NOTELOCK', 'Notelock is stopping...');
+    httpServer.close();
+    if (httpsServer) {
+        httpsServer.close();
+    }
+    if (expiryWorker) {
+        try {
+            await store.releaseWorker('expiry', workerId);
+        } catch (err) {
+            log.error('STORAGE', `Could not give up the expired rows check: ${err.message}`);
+        }
+    }
+    store.close();
+    limitStores.close();
+    process.exit(0);
+};
+process.on('SIGINT', stopServers);
+process.on('SIGTERM', stopServers);
+
 startServers().then(() => {
-    let timeStamp = getTimeStamp();
     // Check if API Only
     if (apiOnly) {
-        console.log("[NOTELOCK]", timeStamp, ":", "Notelock is running in API Only mode");
+        log.info('NOTELOCK', 'Notelock is running in API Only mode');
     } else {
-        console.log("[NOTELOCK]", timeStamp, ":", "Notelock is running with webpage encryption available");
+        log.info('NOTELOCK', 'Notelock is running with webpage encryption available');
     }
-    console.log("[NOTELOCK]", timeStamp, ":", "Notelock started successfully");
+    log.info('NOTELOCK', 'Notelock started successfully');
 });
 
 //#endregion
\ No newline at end of file
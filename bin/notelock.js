@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/////////////////////////////////
+//#region NOTELOCK CLI
+/////////////////////////////////
+
+// Create and read notes from the command line, encrypting and decrypting locally
+//   notelock send [--server <url>] [--passphrase <passphrase>] [--expire <minutes>] [--views <count>] [--format <format>]
+//                 [--file <path>]... [--webhook <url>] [--split <threshold>/<count>] [--token <token>] [--insecure] [--json] < message.txt
+//   notelock read <link> [--code <code>]... [--passphrase <passphrase>] [--out <dir>] [--insecure]
+// The server, API token and passphrase can also be set with NOTELOCK_SERVER, NOTELOCK_API_TOKEN and NOTELOCK_PASSPHRASE
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('../lib/client');
+
+// Options that don't take a value, and options that can be given more than once
+const flags = ['insecure', 'json', 'help'];
+const lists = ['file', 'code'];
+
+// Split the arguments into positionals and --options
+function parseArgs(argv) {
+    let args = { positional: [], options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            let name = argv[i].substring(2);
+            if (flags.includes(name)) {
+                args.options[name] = true;
+            } else if (lists.includes(name)) {
+                args.options[name] = (args.options[name] || []).concat(argv[i + 1]);
+                i++;
+            } else {
+                args.options[name] = argv[i + 1];
+                i++;
+            }
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+// Read everything piped in on stdin
+async function readStdin() {
+    let chunks = [];
+    for await (let chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Ask for a passphrase on the terminal, without echoing it, resolving with null if cancelled
+function promptHidden(question) {
+    return new Promise((resolve) => {
+        let input = '';
+        let onData = (chars) => {
+            for (let char of chars) {
+                if (char === '\r' || char === '\n') {
+                    return done(input);
+                } else if (char === '\u0003' || char === '\u0004') {
+                    return done(null); // Ctrl+C or Ctrl+D
+                } else if (char === '\u007f' || char === '\b') {
+                    input = input.slice(0, -1);
+                } else {
+                    input += char;
+                }
+            }
+        };
+        let done = (value) => {
+            process.stdin.removeListener('data', onData);
+            process.stdin.setRawMode(false);
+            process.stdin.pause();
+            process.stderr.write('\n');
+            resolve(value);
+        };
+        process.stderr.write(question);
+        process.stdin.setRawMode(true);
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', onData);
+        process.stdin.resume();
+    });
+}
+
+// Parse a whole number option, returning undefined if it wasn't given
+function getNumberOption(options, name) {
+    if (options[name] === undefined) {
+        return undefined;
+    }
+    let value = Number(options[name]);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`--${name} must be a whole number, 1 or more`);
+    }
+    return value;
+}
+
+// Parse the --split option, "<threshold>/<count>" (i.e. "2/3"), returning undefined if it wasn't given
+function getSplitOption(options) {
+    if (options.split === undefined) {
+        return undefined;
+    }
+    let match = /^(\d+)\/(\d+)$/.exec(`${options.split}`);
+    if (!match || Number(match[1]) < 2 || Number(match[2]) < Number(match[1])) {
+        throw new Error('--split must be "<threshold>/<count>", i.e. "2/3", with a threshold of 2 or more');
+    }
+    return { threshold: Number(match[1]), count: Number(match[2]) };
+}
+
+// Parse the --format option, "plain" (the default) or "markdown", for how the reader's page shows the message
+function getFormatOption(options) {
+    if (options.format === undefined) {
+        return 'plain';
+    }
+    if (!['plain', 'markdown'].includes(options.format)) {
+        throw new Error('--format must be "plain" or "markdown"');
+    }
+    return options.format;
+}
+
+async function send(options) {
+    let client = createClient({
+        server: options.server || process.env.NOTELOCK_SERVER || '',
+        token: options.token || process.env.NOTELOCK_API_TOKEN || '',
+        insecure: options.insecure === true,
+    });
+    let files = (options.file || []).map((file) => ({ name: path.basename(file), type: '', data: fs.readFileSync(file) }));
+    if (process.stdin.isTTY && files.length === 0) {
+        throw new Error('pipe the message to send on stdin, i.e. "notelock send < secret.txt"');
+    }
+    let message = process.stdin.isTTY ? Buffer.alloc(0) : await readStdin();
+    let created = await client.send(message, {
+        passphrase: options.passphrase || process.env.NOTELOCK_PASSPHRASE || '',
+        format: getFormatOption(options),
+        files: files,
+        expire: getNumberOption(options, 'expire'),
+        views: getNumberOption(options, 'views'),
+        webhook: options.webhook,
+        split: getSplitOption(options),
+    });
+    if (options.json) {
+        console.log(JSON.stringify(created, null, 2));
+    } else {
+        console.log(created.url);
+        (created.codes || []).forEach((code) => {
+            console.error("code (send separately):", code);
+        });
+        console.error("revoke link (keep private):", created.revokeUrl);
+        console.error("status link (keep private):", created.statusUrl);
+    }
+}
+
+async function read(link, options) {
+    let client = createClient({ insecure: options.insecure === true });
+    let passphrase = options.passphrase || process.env.NOTELOCK_PASSPHRASE || '';
+    if (passphrase === '' && process.stdin.isTTY) {
+        // Only asked if the note needs one, and again if it's wrong, as the note can't be fetched twice
+        passphrase = (attempt) => promptHidden(attempt === 0 ? "passphrase: " : "incorrect passphrase, try again: ");
+    }
+    let note = await client.read(link, { passphrase: passphrase, codes: options.code || [] });
+    if (note.tampered) {
+        console.error("warning: the server reported more views left, or a later expiry, than the sender allowed, do not trust this note");
+    }
+    process.stdout.write(note.message);
+    if (note.format !== 'plain') {
+        console.error("the sender wrote this note in", note.format);
+    }
+    for (let file of note.files) {
+        // Never trust the sender's file name to pick a directory
+        let name = path.basename(file.name);
+        if (!options.out || name === '' || name === '.' || name === '..') {
+            console.error("skipped attached file", JSON.stringify(file.name), `(${file.data.length} bytes), use --out <dir> to save it`);
+            continue;
+        }
+        let target = path.join(options.out, name);
+        fs.mkdirSync(options.out, { recursive: true });
+        fs.writeFileSync(target, file.data, { flag: 'wx', mode: 0o600 }); // Never overwrite an existing file
+        console.error("saved attached file", target);
+    }
+    if (note.views > 0) {
+        console.error("this note can be read", note.views, "more time(s)");
+    }
+}
+
+async function main(argv) {
+    let args = parseArgs(argv);
+    let [command, value] = args.positional;
+    try {
+        if (command === 'send' && !args.options.help) {
+            await send(args.options);
+            return 0;
+        }
+        if (command === 'read' && value && !args.options.help) {
+            await read(value, args.options);
+            return 0;
+        }
+    } catch (err) {
+        console.error("notelock:", err.message);
+        return 1;
+    }
+
+    console.error("usage: notelock send [--server <url>] [--passphrase <passphrase>] [--expire <minutes>] [--views <count>] [--format <format>]");
+    console.error("                     [--file <path>]... [--webhook <url>] [--split <threshold>/<count>] [--token <token>] [--insecure] [--json] < message");
+    console.error("       notelock read <link> [--code <code>]... [--passphrase <passphrase>] [--out <dir>] [--insecure]");
+    return 1;
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
+
+//#endregion
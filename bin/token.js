@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/////////////////////////////////
+//#region NOTELOCK TOKEN CLI
+/////////////////////////////////
+
+// Manage API tokens for creating notes
+//   npm run token -- create <label> [--limit <requests>] [--file <path>]
+//   npm run token -- list [--file <path>]
+//   npm run token -- revoke <id> [--file <path>]
+
+const { createToken, revokeToken, readTokens } = require('../lib/tokens');
+const { loadConfig } = require('../lib/config');
+
+// Split the arguments into positionals and --options
+function parseArgs(argv) {
+    let args = { positional: [], options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args.options[argv[i].substring(2)] = argv[i + 1];
+            i++;
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+function main(argv) {
+    let args = parseArgs(argv);
+    let [command, value] = args.positional;
+    let tokenFile = args.options.file;
+    if (!tokenFile) {
+        // Use the same token file as notelock
+        try {
+            tokenFile = loadConfig().settings.tokenFile;
+        } catch (err) {
+            console.error(err.message);
+            return 1;
+        }
+    }
+
+    if (command === 'create' && value) {
+        let limit = null;
+        if (args.options.limit !== undefined) {
+            limit = Number(args.options.limit);
+            if (!Number.isInteger(limit) || limit < 1) {
+                console.error("--limit must be a whole number of requests, 1 or more");
+                return 1;
+            }
+        }
+        let created = createToken(tokenFile, value, limit);
+        console.log("Created token", created.record.id, `(${created.record.label})`);
+        console.log("This token will not be shown again:");
+        console.log(created.token);
+        return 0;
+    }
+
+    if (command === 'list') {
+        let tokens = readTokens(tokenFile).map(({ hash, ...record }) => record); // Never print the hashes
+        if (tokens.length > 0) {
+            console.table(tokens);
+        } else {
+            console.log("No tokens found in", tokenFile);
+        }
+        return 0;
+    }
+
+    if (command === 'revoke' && value) {
+        let record = revokeToken(tokenFile, value);
+        if (!record) {
+            console.error("No token found with ID", value);
+            return 1;
+        }
+        console.log("Revoked token", record.id, `(${record.label})`);
+        return 0;
+    }
+
+    console.error("usage: npm run token -- create <label> [--limit <requests>] | list | revoke <id>  [--file <path>]");
+    return 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
+
+//#endregion
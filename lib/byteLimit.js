@@ -0,0 +1,34 @@
+/////////////////////////////////
+//#region BYTE LIMIT
+/////////////////////////////////
+
+// Like express-rate-limit, but each request counts by its size instead of as one request
+// Every client (by key) gets max bytes within a fixed window of windowMs, counted in store (see lib/limits)
+function createByteLimiter({ windowMs, max, store, keyGenerator, size, skip = () => false, handler }) {
+    store.init({ windowMs: windowMs });
+
+    return async (req, res, next) => {
+        if (skip(req, res)) {
+            return next();
+        }
+        let key = keyGenerator(req, res);
+        let bytes = size(req);
+        try {
+            let client = await store.increment(key, bytes);
+            // Let a client use up its last bytes, but never go over
+            if (client.totalHits > max) {
+                await store.decrement(key, bytes);
+                let used = client.totalHits - bytes;
+                req.rateLimit = { limit: max, used: used, remaining: Math.max(0, max - used), resetTime: client.resetTime };
+                return handler(req, res, next);
+            }
+        } catch (err) {
+            return next(err);
+        }
+        next();
+    };
+}
+
+module.exports = { createByteLimiter };
+
+//#endregion
@@ -0,0 +1,74 @@
+/////////////////////////////////
+//#region PROOF OF WORK
+/////////////////////////////////
+
+const crypto = require('crypto');
+
+// Proof-of-work challenges, solved by clients before they encrypt, so abuse costs CPU time instead of every client
+// behind the same IP being limited together
+// A challenge is "<random>.<difficulty>.<expires>.<signature>": 16 random bytes (URL-safe Base64), the difficulty in
+// bits, when it expires (milliseconds since 1970), then an HMAC-SHA256 of all that and the client it was issued to
+// It's solved by a nonce (decimal digits) where SHA-256 of "<challenge>.<nonce>" starts with difficulty zero bits,
+// and the solution ("<challenge>.<nonce>") is only accepted once, from the client it was issued to, before it expires
+const challengePattern = /^(([A-Za-z0-9_-]{22})\.(\d{1,2})\.(\d{1,15}))\.([A-Za-z0-9_-]{43})\.(\d{1,16})$/;
+
+// Count the zero bits a hash starts with
+function getLeadingZeroBits(hash) {
+    let bits = 0;
+    for (let byte of hash) {
+        if (byte !== 0) {
+            return bits + Math.clz32(byte) - 24;
+        }
+        bits += 8;
+    }
+    return bits;
+}
+
+// Create a challenger, which issues and checks challenges
+//   secret - Key for the signatures (a string or Buffer), shared by every notelock that accepts the others' challenges
+//   life   - How long a challenge can be solved in (in milliseconds)
+//   store  - Rate limit store (see lib/limits) that remembers spent solutions until they expire
+function createChallenger({ secret, life, store }) {
+    store.init({ windowMs: life });
+
+    // Sign a challenge for a client (its rate limit key)
+    function sign(text, client) {
+        return crypto.createHmac('sha256', secret).update(`${text}\n${client}`).digest('base64url');
+    }
+
+    return {
+        // Issue a challenge of difficulty bits to a client, returning { challenge, difficulty, expires }
+        issue: (client, difficulty) => {
+            let expires = Date.now() + life;
+            let text = `${crypto.randomBytes(16).toString('base64url')}.${difficulty}.${expires}`;
+            return { challenge: `${text}.${sign(text, client)}`, difficulty: difficulty, expires: new Date(expires).toISOString() };
+        },
+        // Check a client's solution, returning why it was refused, or false if it was accepted (and is now spent)
+        verify: async (client, solution) => {
+            let parts = challengePattern.exec(typeof solution === 'string' ? solution : '');
+            if (!parts) {
+                return 'a solved proof-of-work challenge is required';
+            }
+            if (!crypto.timingSafeEqual(Buffer.from(sign(parts[1], client)), Buffer.from(parts[5]))) {
+                return 'the proof-of-work challenge was not issued to this client';
+            }
+            if (Number(parts[4]) < Date.now()) {
+                return 'the proof-of-work challenge has expired';
+            }
+            let hash = crypto.createHash('sha256').update(`${parts[1]}.${parts[5]}.${parts[6]}`).digest();
+            if (getLeadingZeroBits(hash) < Number(parts[3])) {
+                return 'the proof-of-work challenge was not solved';
+            }
+            // Spend it only once it's solved, so a wrong answer doesn't use up the challenge
+            let spent = await store.increment(parts[2]);
+            if (spent.totalHits > 1) {
+                return 'the proof-of-work challenge has already been used';
+            }
+            return false;
+        },
+    };
+}
+
+module.exports = { createChallenger };
+
+//#endregion
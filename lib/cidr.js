@@ -0,0 +1,50 @@
+/////////////////////////////////
+//#region CIDR LISTS
+/////////////////////////////////
+
+const net = require('net');
+
+// Parse a comma separated list of IP addresses and CIDR ranges (i.e. "10.0.0.0/8, 2001:db8::/32, 192.0.2.1")
+// Returns a net.BlockList, or throws an Error naming the first entry that isn't an address or range
+function parseCidrList(text) {
+    let list = new net.BlockList();
+    for (let entry of text.split(',').map((item) => item.trim()).filter((item) => item !== '')) {
+        let [address, prefix, extra] = entry.split('/');
+        let family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+        let bits = family === 'ipv4' ? 32 : 128;
+        if (!family || extra !== undefined || (prefix !== undefined && (!/^\d+$/.test(prefix) || Number(prefix) > bits))) {
+            throw new Error(`"${entry}" is not an IP address or CIDR range`);
+        }
+        if (prefix === undefined) {
+            list.addAddress(address, family);
+        } else {
+            list.addSubnet(address, Number(prefix), family);
+        }
+    }
+    return list;
+}
+
+// Check if an address (as from req.ip, with any "::ffff:" prefix removed) is in a list
+function isListed(list, address) {
+    let family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    return family !== null && list.check(address, family);
+}
+
+// Addresses that aren't on the public internet: unspecified, loopback, private, shared (CGNAT), link-local, benchmarking,
+// multicast and reserved ranges, and every IPv6 range that embeds an IPv4 address that could be any of them:
+// IPv4-compatible (i.e. "::7f00:1", which also covers "::" and "::1"), NAT64, 6to4 (i.e. "2002:7f00:1::") and Teredo
+// IPv4-mapped IPv6 addresses (i.e. "::ffff:127.0.0.1") are checked against the IPv4 ranges
+const privateRanges = parseCidrList([
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.0.0.0/24',
+    '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4',
+    '::/96', '64:ff9b::/96', '2002::/16', '2001::/32', '100::/64', 'fc00::/7', 'fe80::/10', 'ff00::/8',
+].join(','));
+
+// Check if an address is loopback, private, link-local or otherwise not on the public internet
+function isPrivateAddress(address) {
+    return isListed(privateRanges, address);
+}
+
+module.exports = { parseCidrList, isListed, isPrivateAddress };
+
+//#endregion
@@ -0,0 +1,195 @@
+/////////////////////////////////
+//#region NOTELOCK CLIENT
+/////////////////////////////////
+
+const http = require('http');
+const https = require('https');
+const { isPassphraseMessage, isBoxMessage, getLinkKey, getLinkBoxKey, encryptNote, decryptNote, checkNoteMeta, splitKey, parseKeyShare, combineKeyShares, getLinkShare, solveChallenge } = require('./crypto');
+
+// Send a JSON request to a notelock server, resolving with { status, body } (body is parsed JSON, or null)
+function requestJson(url, method, body, headers, insecure) {
+    return new Promise((resolve, reject) => {
+        let target = new URL(url);
+        let transport = target.protocol === 'http:' ? http : https;
+        let payload = body === undefined ? null : JSON.stringify(body);
+        let req = transport.request(target, {
+            method: method,
+            headers: Object.assign({ 'Accept': 'application/json' }, payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}, headers),
+            rejectUnauthorized: !insecure, // Only for servers with Self-Signed certs (FOR SERVER TESTING ONLY)
+        }, (res) => {
+            let chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => {
+                let text = Buffer.concat(chunks).toString('utf8');
+                try {
+                    resolve({ status: res.statusCode, body: text === '' ? null : JSON.parse(text) });
+                } catch (err) {
+                    reject(new Error(`notelock server sent an invalid response (status ${res.statusCode})`));
+                }
+            });
+        });
+        req.on('error', reject);
+        req.end(payload);
+    });
+}
+
+// Turn a JSON API error response into a thrown Error, with the status and error code attached
+function apiError(response) {
+    let error = (response.body && response.body.error) || { code: 'server_error', message: 'unexpected response' };
+    let err = new Error(`notelock server responded ${response.status}: ${error.message}`);
+    err.status = response.status;
+    err.code = error.code;
+    return err;
+}
+
+// Get the server's base URL from a note link, keeping any path it's served under
+function getLinkBase(link) {
+    let url = new URL(link);
+    return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+// Create a client for a notelock server's JSON API, encrypting and decrypting locally with lib/crypto.js
+//   server   - Base URL of the server (i.e. "https://notes.example.com"), needed to send notes
+//   token    - Optional API token, sent as a bearer header when sending notes
+//   insecure - Allow Self-Signed SSL certs (FOR SERVER TESTING ONLY)
+function createClient({ server = '', token = '', insecure = false } = {}) {
+    let base = server.replace(/\/+$/, '');
+
+    // Fetch and solve a proof-of-work challenge, for servers that ask for one (with 428) before reserving an ID
+    async function solveServerChallenge(headers) {
+        let response = await requestJson(`${base}/api/v1/challenges`, 'POST', undefined, headers, insecure);
+        if (response.status !== 201) {
+            throw apiError(response);
+        }
+        return solveChallenge(response.body.challenge);
+    }
+
+    // Encrypt and send a note (message is a string or bytes, written in format 'plain' or 'markdown', files are
+    // { name, type, data })
+    // The note's ID is reserved first and bound to the ciphertext, along with the chosen expiry and views (solving a
+    // proof-of-work challenge first, if the server asks for one)
+    // The key can be split into count shares, threshold of which are needed to read the note (split is { threshold, count })
+    // Returns { id, url, expires, views, revokeUrl, statusUrl }, where url includes the key, or if it was split, the first
+    // share, with the rest in codes (to send over other channels)
+    async function send(message, { passphrase = '', format = 'plain', files = [], expire, views, webhook, split } = {}) {
+        if (base === '') {
+            throw new Error('a server URL is needed to send notes');
+        }
+        let headers = token !== '' ? { 'Authorization': `Bearer ${token}` } : {};
+        let reservation = await requestJson(`${base}/api/v1/reservations`, 'POST', undefined, headers, insecure);
+        if (reservation.status === 428) {
+            let pow = await solveServerChallenge(headers);
+            reservation = await requestJson(`${base}/api/v1/reservations`, 'POST', { pow: pow }, headers, insecure);
+        }
+        if (reservation.status !== 201) {
+            throw apiError(reservation);
+        }
+        let meta = {};
+        if (views !== undefined) {
+            meta.views = views;
+        }
+        if (expire !== undefined) {
+            meta.expire = expire;
+        }
+        let encrypted = await encryptNote(message, passphrase, files, reservation.body.id, Object.keys(meta).length > 0 ? meta : null, format);
+        let note = { id: reservation.body.id, cipher: encrypted.cipher };
+        if (encrypted.attachments.length > 0) {
+            note.attachments = encrypted.attachments;
+        }
+        if (expire !== undefined) {
+            note.expire = expire;
+        }
+        if (views !== undefined) {
+            note.views = views;
+        }
+        if (webhook !== undefined) {
+            note.webhook = webhook;
+        }
+        let response = await requestJson(`${base}/api/v1/notes`, 'POST', note, headers, insecure);
+        if (response.status !== 201) {
+            throw apiError(response);
+        }
+        let created = response.body;
+        let shares = split ? splitKey(encrypted.key, split.threshold, split.count) : [encrypted.key];
+        let sent = {
+            id: created.id,
+            url: created.url + shares[0],
+            expires: created.expires,
+            views: created.views,
+            revokeUrl: created.revokeUrl,
+            statusUrl: created.statusUrl,
+        };
+        if (split) {
+            sent.codes = shares.slice(1);
+        }
+        return sent;
+    }
+
+    // Read and decrypt a note from its link (or a requested secret from its private link), using up a view,
+    // checking it was sent to this link
+    // (throws with err.code 'tampered' if the server sent another note)
+    // The passphrase can be a function, called (with the attempt number) only if the note needs one, until it
+    // decrypts or the function returns null, so a reader can retry without using up another view
+    // A link holding a share of a split key needs the other shares (codes) the sender sent separately
+    // Returns { message, format, files, views, tampered }, where message and each file's data are Buffers, format is
+    // how the sender wrote the message ('plain' or 'markdown'), and tampered is true if the server reported more views
+    // left, or a later expiry, than the sender allowed
+    async function read(link, { passphrase = '', codes = [] } = {}) {
+        let id = new URL(link).searchParams.get('n');
+        let key = getLinkKey(link);
+        if (!id || key.length === 0) {
+            throw new Error('not a notelock link, expected "https://<server>/?n=<id>#<key>"');
+        }
+        // Rebuild a split key before fetching the note, so a missing code doesn't use up a view
+        let share = getLinkShare(link);
+        if (share !== null) {
+            let threshold = parseKeyShare(share).threshold;
+            if (codes.length < threshold - 1) {
+                throw new Error(`this link holds a share of the key, ${threshold - 1} code(s) from the sender are needed to read it`);
+            }
+            key = combineKeyShares([share].concat(codes));
+        }
+        let response = await requestJson(`${getLinkBase(link)}/api/v1/notes/${encodeURIComponent(id)}/read`, 'POST', undefined, {}, insecure);
+        if (response.status !== 200) {
+            throw apiError(response);
+        }
+        let note = response.body;
+        // Requested secrets are read with the private key in the requester's link, rather than a note key
+        if (isBoxMessage(note.cipher)) {
+            key = getLinkBoxKey(link);
+        }
+        let decrypted;
+        for (let attempt = 0; !decrypted; attempt++) {
+            let phrase = passphrase;
+            if (typeof passphrase === 'function') {
+                phrase = isPassphraseMessage(note.cipher) ? await passphrase(attempt) : '';
+                if (phrase === null) {
+                    throw new Error('could not decrypt the note, no passphrase was given');
+                }
+            }
+            try {
+                decrypted = await decryptNote(note.cipher, key, phrase, note.attachments || [], id);
+            } catch (err) {
+                if (err.code === 'tampered') {
+                    throw err;
+                }
+                if (typeof passphrase !== 'function' || !isPassphraseMessage(note.cipher)) {
+                    throw new Error(phrase === '' ? 'could not decrypt the note, it may need a passphrase' : 'could not decrypt the note, the passphrase may be incorrect');
+                }
+            }
+        }
+        return {
+            message: Buffer.from(decrypted.message),
+            format: decrypted.format,
+            files: decrypted.files.map((file) => ({ name: file.name, type: file.type, data: Buffer.from(file.data) })),
+            views: note.views,
+            tampered: !checkNoteMeta(decrypted.meta, note.views, note.expires),
+        };
+    }
+
+    return { send, read };
+}
+
+module.exports = { createClient };
+
+//#endregion
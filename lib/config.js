@@ -0,0 +1,269 @@
+/////////////////////////////////
+//#region NOTELOCK CONFIG
+/////////////////////////////////
+
+const fs = require('fs');
+const { parseCidrList } = require('./cidr');
+
+// Every setting, its environment variable, type, allowed range and default
+// Settings are read from the defaults, then the config file, then the environment (last one wins)
+const schema = {
+    // SSL Certificate and Key
+    pCert: { env: 'NOTELOCK_CERT', type: 'string', default: "./certs/certificate.cer" }, // Path to SSL certificate
+    pKey: { env: 'NOTELOCK_KEY', type: 'string', default: "./certs/private_unencrypted.key" }, // Path to SSL private unencrypted key
+
+    // Port Setup
+    httpPort: { env: 'NOTELOCK_HTTP_PORT', type: 'integer', min: 1, max: 65535, default: 80 }, // HTTP port, default 80
+    httpsPort: { env: 'NOTELOCK_HTTPS_PORT', type: 'integer', min: 1, max: 65535, default: 443 }, // HTTPS port, default 443
+
+    // Reverse Proxy Mode - Serve plain HTTP on httpPort only, behind a proxy that terminates TLS (no certificates needed)
+    proxyMode: { env: 'NOTELOCK_PROXY_MODE', type: 'boolean', default: false },
+    trustProxy: { env: 'NOTELOCK_TRUST_PROXY', type: 'string', default: "loopback" }, // Proxies trusted to set X-Forwarded-For/-Proto, as an Express "trust proxy" value (i.e. "loopback", "10.0.0.0/8, 172.16.0.0/12" or a hop count like "1")
+
+    // Public URL
+    publicUrl: { env: 'NOTELOCK_PUBLIC_URL', type: 'string', default: "" }, // Base URL for note links (i.e. "https://notes.example.com"), leave blank to use the host of each request
+
+    // Note Expiration
+    exInterval: { env: 'NOTELOCK_EXPIRE_INTERVAL', type: 'number', min: 0, default: 5 }, // Interval to check for expired notes (in minutes), 0 will never expire
+    noteLife: { env: 'NOTELOCK_NOTE_LIFE', type: 'integer', min: 1, default: 24 }, // Default lifetime of notes (in hours), can not be less than 1
+    noteMinLife: { env: 'NOTELOCK_NOTE_MIN_LIFE', type: 'integer', min: 1, default: 5 }, // Shortest lifetime a sender can choose (in minutes)
+    noteMaxLife: { env: 'NOTELOCK_NOTE_MAX_LIFE', type: 'integer', min: 1, default: 168 }, // Longest lifetime a sender can choose (in hours), 168 is 7 days
+
+    // Note Views
+    noteMaxViews: { env: 'NOTELOCK_NOTE_MAX_VIEWS', type: 'integer', min: 1, default: 10 }, // Maximum number of times a sender can allow a note to be read
+
+    // Read Receipts - Senders get a private status URL showing whether their note was read
+    statusLife: { env: 'NOTELOCK_STATUS_LIFE', type: 'integer', min: 1, default: 168 }, // How long to keep the status of a read, expired or revoked note (in hours), the ciphertext is never kept
+    webhooks: { env: 'NOTELOCK_WEBHOOKS', type: 'boolean', default: false }, // Let senders supply a URL that notelock POSTs to when their note is read (the server will contact any public URL a sender gives it)
+
+    // File Attachments - Files are encrypted in the browser along with the message
+    attachMaxSize: { env: 'NOTELOCK_ATTACH_MAX_SIZE', type: 'number', min: 0, default: 5 }, // Max total size of the files attached to a note (in megabytes), 0 disables attachments
+    attachMaxFiles: { env: 'NOTELOCK_ATTACH_MAX_FILES', type: 'integer', min: 1, default: 5 }, // Max number of files attached to a note
+
+    // Storage Quotas - Caps on what senders can store, so no one client can fill the database
+    noteMaxSize: { env: 'NOTELOCK_NOTE_MAX_SIZE', type: 'integer', min: 1, default: 100 }, // Max size of a note's ciphertext (in kilobytes), not counting attachments
+    storageMaxSize: { env: 'NOTELOCK_STORAGE_MAX_SIZE', type: 'number', min: 0, default: 1024 }, // Max ciphertext stored across every note and attachment (in megabytes), 0 for no limit
+    subnetMaxNotes: { env: 'NOTELOCK_SUBNET_MAX_NOTES', type: 'integer', min: 0, default: 100 }, // Max unread, unexpired notes and drop boxes a client subnet can have at once (API tokens and allowList clients are exempt), 0 for no limit
+
+    // Note Storage
+    dbDriver: { env: 'NOTELOCK_DB_DRIVER', type: 'string', values: ["memory", "sqlite", "redis"], default: "memory" }, // Storage driver, "memory" (notes are lost on restart), "sqlite" (notes are kept on disk) or "redis" (notes are shared by every notelock using the server at redisUrl)
+    dbPath: { env: 'NOTELOCK_DB_PATH', type: 'string', default: "./data/notelock.db" }, // Path to the database file, used by the "sqlite" driver
+
+    // Global Speed Limit - Apply an exponential delay to server response after client exceeds threshold
+    spdTimeWindow: { env: 'NOTELOCK_SPD_TIME_WINDOW', type: 'number', min: 0, exclusiveMin: true, default: 30 }, // Time window to retain max request information (in minutes)
+    spdMaxRequests: { env: 'NOTELOCK_SPD_MAX_REQUESTS', type: 'integer', min: 0, default: 1 }, // Max requests allowed within time window before delay starts increasing
+    spdDelayTime: { env: 'NOTELOCK_SPD_DELAY_TIME', type: 'number', min: 0, default: 0.1 }, // The amount of delay to add to the response (in seconds)
+    spdMaxDelayTime: { env: 'NOTELOCK_SPD_MAX_DELAY_TIME', type: 'number', min: 0, default: 5 }, // Maximum amount of delay (in seconds)
+
+    // Encryption Rate Limit - Block encryption requests from client after exceeding threshold
+    encTimeWindow: { env: 'NOTELOCK_ENC_TIME_WINDOW', type: 'number', min: 0, exclusiveMin: true, default: 30 }, // Time window for max encryption requests (in minutes)
+    encMaxRequests: { env: 'NOTELOCK_ENC_MAX_REQUESTS', type: 'integer', min: 1, default: 10 }, // Max encryption requests allowed within time window
+    encMaxMegabytes: { env: 'NOTELOCK_ENC_MAX_MEGABYTES', type: 'number', min: 0, exclusiveMin: true, default: 50 }, // Max megabytes of notes and attachments a client (or token) can upload within time window
+
+    // Proof of Work - Clients without an API token solve a challenge before encrypting, each harder than the last
+    // within encTimeWindow, so no one client can encrypt quickly however many IPs it has
+    powMode: { env: 'NOTELOCK_POW_MODE', type: 'string', values: ["off", "also", "instead"], default: "off" }, // "off", "also" (on top of the encryption rate limit) or "instead" (replacing it, the upload limit and quotas still apply)
+    powDifficulty: { env: 'NOTELOCK_POW_DIFFICULTY', type: 'integer', min: 1, max: 30, default: 16 }, // Leading zero bits a client's first challenge needs (each bit doubles the work, 16 takes about a second in a browser)
+    powMaxDifficulty: { env: 'NOTELOCK_POW_MAX_DIFFICULTY', type: 'integer', min: 1, max: 30, default: 22 }, // Most leading zero bits a challenge can need
+    powStep: { env: 'NOTELOCK_POW_STEP', type: 'integer', min: 1, default: 5 }, // Challenges a client can ask for within encTimeWindow before each needs one more bit
+    powSecret: { env: 'NOTELOCK_POW_SECRET', type: 'string', default: "" }, // Key that signs challenges (at least 16 characters), so every notelock sharing it accepts the others' challenges, leave blank for a random key per process
+
+    // API Tokens - Manage tokens with "npm run token -- create <label> [--limit <requests>]", "list" and "revoke <id>"
+    tokenRequired: { env: 'NOTELOCK_TOKEN_REQUIRED', type: 'boolean', default: false }, // Require an API token to create notes (pair with apiOnly, as the encryption page has no token)
+    tokenFile: { env: 'NOTELOCK_TOKEN_FILE', type: 'string', default: "./data/tokens.json" }, // Path to the API token file
+    tokTimeWindow: { env: 'NOTELOCK_TOK_TIME_WINDOW', type: 'number', min: 0, exclusiveMin: true, default: 30 }, // Time window for max encryption requests per token (in minutes)
+    tokMaxRequests: { env: 'NOTELOCK_TOK_MAX_REQUESTS', type: 'integer', min: 1, default: 100 }, // Max encryption requests allowed per token within time window, unless the token has its own limit
+
+    // Admin Dashboard - Usage stats and purging at /admin and /api/v1/admin, never showing ciphertext
+    adminToken: { env: 'NOTELOCK_ADMIN_TOKEN', type: 'string', default: "" }, // Bearer token for the admin area (at least 16 characters), leave blank to disable it
+
+    // Global Rate Limit - Block all requests from client after exceeding threshold
+    reqTimeWindow: { env: 'NOTELOCK_REQ_TIME_WINDOW', type: 'number', min: 0, exclusiveMin: true, default: 5 }, // Time window for max requests (in minutes)
+    reqMaxRequests: { env: 'NOTELOCK_REQ_MAX_REQUESTS', type: 'integer', min: 1, default: 40 }, // Max requests allowed within time window
+
+    // Note Read Limit - Block looking up notes by ID (revealing, reading, checking or revoking them) after exceeding threshold,
+    // counted apart from page requests so IDs can't be guessed
+    readTimeWindow: { env: 'NOTELOCK_READ_TIME_WINDOW', type: 'number', min: 0, exclusiveMin: true, default: 5 }, // Time window for max note lookups (in minutes)
+    readMaxRequests: { env: 'NOTELOCK_READ_MAX_REQUESTS', type: 'integer', min: 1, default: 20 }, // Max note lookups allowed within time window (opening and revealing a note is 2)
+
+    // Rate Limit Storage - Where every limit is counted, shared by each notelock using the same backend
+    limitDriver: { env: 'NOTELOCK_LIMIT_DRIVER', type: 'string', values: ["memory", "sqlite", "redis"], default: "memory" }, // "memory" (per process, reset on restart), "sqlite" (in the note database, needs the "sqlite" dbDriver) or "redis"
+    redisUrl: { env: 'NOTELOCK_REDIS_URL', type: 'string', default: "redis://127.0.0.1:6379" }, // Redis server for the "redis" storage and rate limit drivers (i.e. "rediss://:password@redis.example.com:6380/0")
+
+    // Client Lists - Comma separated IPs and CIDR ranges (i.e. "10.0.0.0/8, 2001:db8::/32, 192.0.2.1")
+    allowList: { env: 'NOTELOCK_ALLOW_LIST', type: 'string', default: "" }, // Clients never rate or speed limited (API tokens still have their limits)
+    denyList: { env: 'NOTELOCK_DENY_LIST', type: 'string', default: "" }, // Clients refused every request
+
+    // Subnet Mask for Rate / Speed Limit
+    subMask: { env: 'NOTELOCK_SUBNET_MASK', type: 'integer', min: 1, max: 120, default: 56 }, // Subnet mask to apply to IPv6 addresses. Valid range is 1-120, recommend range is 48-64.
+
+    // API encryption only (disables encryption page)
+    apiOnly: { env: 'NOTELOCK_API_ONLY', type: 'boolean', default: false },
+
+    // Custom branding
+    customBranding: { env: 'NOTELOCK_BRANDING', type: 'string', default: "" }, // Provide path to CSS file in views/branding to enable (i.e. "./branding/style.css"), or an https URL
+    tenantFile: { env: 'NOTELOCK_TENANT_FILE', type: 'string', default: "" }, // Path to a JSON file of branding and note settings for each hostname (see lib/tenants.js), leave blank to treat every hostname the same
+
+    // Security Headers - A strict Content-Security-Policy, no Referer and no caching are always sent
+    hstsMaxAge: { env: 'NOTELOCK_HSTS_MAX_AGE', type: 'integer', min: 0, default: 31536000 }, // Seconds browsers should only use HTTPS (Strict-Transport-Security), 0 to leave it out
+
+    // Logging
+    logFormat: { env: 'NOTELOCK_LOG_FORMAT', type: 'string', values: ["text", "json"], default: "text" }, // "text" lines, or "json" objects (one per line) for log collectors
+    logLevel: { env: 'NOTELOCK_LOG_LEVEL', type: 'string', values: ["debug", "info", "warn", "error"], default: "info" }, // Least severe messages to log, "debug" adds every expiry check
+    logPrivacy: { env: 'NOTELOCK_LOG_PRIVACY', type: 'string', values: ["full", "hash", "drop"], default: "full" }, // Log client IPs and note IDs as they are ("full"), as hashes that only match until a restart ("hash"), or not at all ("drop")
+
+    // Prometheus Metrics - Served at /metrics, outside the rate limits so scrapers aren't blocked
+    metrics: { env: 'NOTELOCK_METRICS', type: 'boolean', default: false },
+    metricsToken: { env: 'NOTELOCK_METRICS_TOKEN', type: 'string', default: "" }, // Bearer token required to scrape /metrics, leave blank to allow anyone (only behind a firewall)
+
+    // DEBUG - Regularly print the database rows to the console (in minutes)
+    prInterval: { env: 'NOTELOCK_PRINT_INTERVAL', type: 'number', min: 0, default: 0 }, // Set to 0 to never print rows
+};
+
+// Config file used when NOTELOCK_CONFIG isn't set, skipped if it doesn't exist
+const defaultConfigFile = "./notelock.json";
+
+// Thrown with every problem found in the configuration, so they can all be fixed at once
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Convert an environment variable string to the type of its setting
+function parseEnvValue(rule, value) {
+    if (rule.type === 'boolean') {
+        if (['true', '1', 'yes'].includes(value.toLowerCase())) return true;
+        if (['false', '0', 'no'].includes(value.toLowerCase())) return false;
+        return value;
+    }
+    if (rule.type === 'integer' || rule.type === 'number') {
+        return value.trim() === '' ? value : Number(value);
+    }
+    return value;
+}
+
+// Check a single setting against its rule, returning a problem or false
+function checkValue(name, rule, value, source) {
+    let where = `${name} (from ${source})`;
+    if (rule.type === 'integer' || rule.type === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+            return `${where} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}, got ${JSON.stringify(value)}`;
+        }
+        if (rule.min !== undefined && (value < rule.min || (rule.exclusiveMin && value === rule.min))) {
+            return `${where} must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}, got ${value}`;
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            return `${where} must be at most ${rule.max}, got ${value}`;
+        }
+    } else if (typeof value !== rule.type) {
+        return `${where} must be a ${rule.type}, got ${JSON.stringify(value)}`;
+    }
+    if (rule.values && !rule.values.includes(value)) {
+        return `${where} must be one of ${rule.values.map((v) => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`;
+    }
+    return false;
+}
+
+// Load the settings from the defaults, config file and environment, throwing a ConfigError if invalid
+// Returns { settings, file, envCount } so the caller can log where the settings came from
+function loadConfig(env = process.env) {
+    let config = {};
+    let sources = {};
+    let problems = [];
+
+    // Defaults
+    for (let name in schema) {
+        config[name] = schema[name].default;
+        sources[name] = 'default';
+    }
+
+    // Config file
+    let file = env.NOTELOCK_CONFIG || defaultConfigFile;
+    let fileUsed = false;
+    if (env.NOTELOCK_CONFIG || fs.existsSync(file)) {
+        try {
+            let contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+            for (let name in contents) {
+                if (!Object.hasOwn(schema, name)) {
+                    problems.push(`${name} (from ${file}) is not a notelock setting`);
+                    continue;
+                }
+                config[name] = contents[name];
+                sources[name] = file;
+            }
+            fileUsed = true;
+        } catch (err) {
+            problems.push(`could not read config file ${file}: ${err.message}`);
+        }
+    }
+
+    // Environment variables
+    let envCount = 0;
+    for (let name in schema) {
+        let value = env[schema[name].env];
+        if (value !== undefined) {
+            config[name] = parseEnvValue(schema[name], value);
+            sources[name] = schema[name].env;
+            envCount++;
+        }
+    }
+
+    // Validate each setting, then the settings that depend on each other
+    for (let name in schema) {
+        let problem = checkValue(name, schema[name], config[name], sources[name]);
+        if (problem) {
+            problems.push(problem);
+        }
+    }
+    if (problems.length === 0) {
+        if (config.noteMinLife > config.noteLife * 60) {
+            problems.push(`noteMinLife (${config.noteMinLife} minutes) can not be longer than noteLife (${config.noteLife} hours)`);
+        }
+        if (config.noteLife > config.noteMaxLife) {
+            problems.push(`noteLife (${config.noteLife} hours) can not be longer than noteMaxLife (${config.noteMaxLife} hours)`);
+        }
+        if (config.publicUrl !== '' && !/^https?:\/\/[^/?#]+(\/[^?#]*)?$/.test(config.publicUrl)) {
+            problems.push(`publicUrl must be an http(s) URL without a query or fragment, got ${JSON.stringify(config.publicUrl)}`);
+        }
+        if (config.customBranding !== '' && !/^(\.\/|\/)?branding\/[\w.-]+\.css$/.test(config.customBranding) && !/^https:\/\/[^/?#]+\/[^?#]*$/.test(config.customBranding)) {
+            problems.push(`customBranding must be a CSS file in views/branding (i.e. "./branding/style.css") or an https URL, got ${JSON.stringify(config.customBranding)}`);
+        }
+        if (config.adminToken !== '' && config.adminToken.length < 16) {
+            problems.push(`adminToken must be at least 16 characters, or blank to disable the admin area`);
+        }
+        if (config.powMaxDifficulty < config.powDifficulty) {
+            problems.push(`powMaxDifficulty (${config.powMaxDifficulty} bits) can not be less than powDifficulty (${config.powDifficulty} bits)`);
+        }
+        if (config.powSecret !== '' && config.powSecret.length < 16) {
+            problems.push(`powSecret must be at least 16 characters, or blank for a random key`);
+        }
+        if (config.limitDriver === 'sqlite' && config.dbDriver !== 'sqlite') {
+            problems.push(`limitDriver "sqlite" keeps rate limits in the note database, so dbDriver must be "sqlite" too`);
+        }
+        if ((config.dbDriver === 'redis' || config.limitDriver === 'redis') && !/^rediss?:\/\/[^/?#]+(\/\d*)?$/.test(config.redisUrl)) {
+            problems.push(`redisUrl must be a redis:// or rediss:// URL, got ${JSON.stringify(config.redisUrl)}`);
+        }
+        for (let name of ['allowList', 'denyList']) {
+            try {
+                parseCidrList(config[name]);
+            } catch (err) {
+                problems.push(`${name} (from ${sources[name]}) has ${err.message}`);
+            }
+        }
+        if (config.spdMaxDelayTime < config.spdDelayTime) {
+            problems.push(`spdMaxDelayTime (${config.spdMaxDelayTime} seconds) can not be less than spdDelayTime (${config.spdDelayTime} seconds)`);
+        }
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return { settings: Object.freeze(config), file: fileUsed ? file : null, envCount: envCount };
+}
+
+module.exports = { loadConfig, ConfigError, schema };
+
+//#endregion
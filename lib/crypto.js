@@ -0,0 +1,749 @@
+/////////////////////////////////
+//#region NOTELOCK CRYPTO
+/////////////////////////////////
+
+// The note format and AES-GCM functions, shared by the encryption page (served as /js/crypto.js) and Node clients
+// Loaded with require() in Node, or as window.notelockCrypto by a <script> tag in the browser (or as a Web Worker)
+// Only uses WebCrypto, atob/btoa and TextEncoder/TextDecoder, which both have built in
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root.crypto);
+    } else {
+        root.notelockCrypto = factory(root.crypto);
+        // Run as a Web Worker by the encryption page, solve the proof-of-work challenges it posts, off the page's thread
+        if (typeof WorkerGlobalScope !== 'undefined' && root instanceof WorkerGlobalScope) {
+            root.onmessage = (event) => {
+                root.notelockCrypto.solveChallenge(event.data).then(
+                    (solution) => root.postMessage({ solution: solution }),
+                    (err) => root.postMessage({ error: err.message })
+                );
+            };
+        }
+    }
+})(typeof self !== 'undefined' ? self : globalThis, function (webCrypto) {
+
+    /////////////////////////////////
+    //#region CIPHER FORMAT
+    /////////////////////////////////
+
+    // Everything is sealed in a versioned envelope, "nl1.<header>.<ciphertext>" (see docs/envelope.md)
+    //   header     - URL-safe Base64 of a JSON object: the algorithm, IV, and any passphrase salt, bound context
+    //                (the note's ID) or sender metadata (the expiry and views they chose)
+    //   ciphertext - URL-safe Base64 of the AES-GCM ciphertext and tag, authenticated with "nl1.<header>" as AAD
+    // Notes from before the envelope are read as version 0, "<iv><ciphertext>" in Base64 with a 96-bit IV,
+    // flagged and led by their salt if passphrase protected ("p.<salt><iv><ciphertext>")
+    // Attachments are { meta, data }, each an envelope encrypted with the note's key (after the passphrase)
+    // The key travels in the link's fragment as URL-safe Base64 (43 characters), so it never reaches the server
+    // Drop boxes (secrets sent to a requester) are instead keyed by ECDH with the requester's P-256 public key,
+    // with the sender's ephemeral public key in the header, and the requester's private key in their link
+    // The key can instead be split into shares ("s<threshold>.<index>.<share>"), one in the link and the rest sent
+    // over other channels, any threshold of which rebuild it
+    // A message in a format other than plain text (i.e. markdown) is led by a 0xFF byte (never found in UTF-8) and a
+    // JSON header naming it, inside the ciphertext, so only the reader knows how it's formatted
+    const envelopeVersion = 'nl1';
+    const envelopeAlgorithm = 'A256GCM';
+    const envelopeKdf = 'PBKDF2-SHA256';
+    const envelopeMaxIterations = 10000000; // Never let a header ask for more work than this
+    const ivLength = 12; // 96-bit standard
+    const ivB64Length = 16;
+    const keyB64UrlLength = 43;
+    const passphraseFlag = 'p.';
+    const passphraseSaltLength = 16; // 128-bit salt, 24 characters in Base64
+    const passphraseIterations = 600000; // PBKDF2-SHA256 iterations used to stretch the passphrase
+    const boxKdf = 'ECDH-ES';
+    const boxCurve = 'P-256';
+    const boxPublicKeyLength = 65; // Uncompressed P-256 point
+    const boxInfo = 'notelock-box'; // HKDF info, followed by the ephemeral public key
+    const shareFlag = 's';
+    const shareMaxCount = 255; // Shares are numbered 1 to 255, the points of GF(256) other than 0
+    const keyLength = 32;
+    const challengeMaxDifficulty = 32; // Never take on a proof-of-work challenge harder than this (in bits)
+    const challengeBatch = 256; // Nonces hashed at once while solving a challenge
+    const bodyFlag = 0xff;
+    const bodyFormats = ['plain', 'markdown'];
+    const metaClockSkew = 5; // Minutes a reader's clock may be behind the server's, when checking a note's expiry
+
+    //#endregion
+
+    //-----------------------
+
+    /////////////////////////////////
+    //#region CONVERSION FUNCS
+    /////////////////////////////////
+
+    // Convert a Base64 string to an ArrayBuffer
+    function convertB64toArrayBuffer(base64String) {
+        let binaryString = atob(base64String);
+        let bytes = new Uint8Array(binaryString.length);
+        for (let i = 0; i < binaryString.length; i++) {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    // Convert an ArrayBuffer (or typed array) to a Base64 string
+    function convertArrayBuffertoB64(buffer) {
+        let bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        let binary = '';
+        for (let i = 0; i < bytes.byteLength; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    // Convert a Base64 string to an URL-Safe equivalent
+    function base64URLencode(base64String) {
+        return base64String.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Convert an URL-Safe Base64 string to its original form
+    function base64URLdecode(urlSafeString) {
+        let base64Encoded = urlSafeString.replace(/-/g, '+').replace(/_/g, '/');
+        let padding = urlSafeString.length % 4 === 0 ? '' : '='.repeat(4 - (urlSafeString.length % 4));
+        return base64Encoded + padding;
+    }
+
+    // Convert an URL-Safe Base64 string to a Uint8Array, throwing if it isn't one
+    function convertB64UrltoBytes(urlSafeString) {
+        if (!/^[A-Za-z0-9_-]*$/.test(urlSafeString)) {
+            throw new Error('invalid URL-safe Base64');
+        }
+        return new Uint8Array(convertB64toArrayBuffer(base64URLdecode(urlSafeString)));
+    }
+
+    // Convert an ArrayBuffer (or typed array) to an URL-Safe Base64 string
+    function convertBytestoB64Url(buffer) {
+        return base64URLencode(convertArrayBuffertoB64(buffer));
+    }
+
+    //#endregion
+
+    //-----------------------
+
+    /////////////////////////////////
+    //#region AES-GCM FUNCS
+    /////////////////////////////////
+
+    // Generate an AES-GCM key (256-bit)
+    async function generateAesGcmKey() {
+        return await webCrypto.subtle.generateKey(
+            {
+                name: "AES-GCM",
+                length: 256,
+            },
+            true, // Must be 'true' to allow export
+            ["encrypt", "decrypt"]
+        );
+    }
+
+    // Export an AES-GCM key and convert the ArrayBuffer to a Base64 string
+    async function exportAesGcmKeyToBase64(key) {
+        let exportedKeyBuffer = await webCrypto.subtle.exportKey("raw", key); // Use "raw" format for symmetric keys
+        return convertArrayBuffertoB64(exportedKeyBuffer);
+    }
+
+    // Import a Base64 string as an AES-GCM key
+    async function importBase64ToAesGcmKey(base64Key) {
+        return await webCrypto.subtle.importKey(
+            "raw",
+            convertB64toArrayBuffer(base64Key),
+            { name: "AES-GCM" },
+            true,
+            ["encrypt", "decrypt"]
+        );
+    }
+
+    // Stretch a passphrase with PBKDF2 and combine it with an AES-GCM key, returning a new AES-GCM key
+    async function deriveAesGcmKeyWithPassphrase(key, passphrase, salt, iterations = passphraseIterations) {
+        let keyBytes = new Uint8Array(await webCrypto.subtle.exportKey("raw", key));
+        let passphraseKey = await webCrypto.subtle.importKey(
+            "raw",
+            new TextEncoder().encode(passphrase.normalize("NFC")),
+            "PBKDF2",
+            false,
+            ["deriveBits"]
+        );
+        let stretched = new Uint8Array(await webCrypto.subtle.deriveBits(
+            {
+                name: "PBKDF2",
+                salt,
+                iterations,
+                hash: "SHA-256"
+            },
+            passphraseKey,
+            256
+        ));
+        // XOR the stretched passphrase with the random key, so both are needed to decrypt
+        for (let i = 0; i < stretched.length; i++) {
+            stretched[i] ^= keyBytes[i];
+        }
+        return await webCrypto.subtle.importKey(
+            "raw",
+            stretched,
+            { name: "AES-GCM" },
+            false,
+            ["encrypt", "decrypt"]
+        );
+    }
+
+    // Generate a randomized Uint8Array, specifying length
+    function generateRandomArrayBuffer(length) {
+        return webCrypto.getRandomValues(new Uint8Array(length));
+    }
+
+    // Generate a drop box key pair, returning { publicKey, privateKey } as URL-safe Base64 (raw and PKCS#8)
+    async function generateBoxKeys() {
+        let keyPair = await webCrypto.subtle.generateKey({ name: "ECDH", namedCurve: boxCurve }, true, ["deriveBits"]);
+        return {
+            publicKey: convertBytestoB64Url(await webCrypto.subtle.exportKey("raw", keyPair.publicKey)),
+            privateKey: convertBytestoB64Url(await webCrypto.subtle.exportKey("pkcs8", keyPair.privateKey))
+        };
+    }
+
+    // Agree on an AES-GCM key from an ECDH private key and the other side's public key (raw bytes),
+    // stretched with HKDF-SHA256 and bound to the ephemeral public key (raw bytes) of the message
+    async function deriveAesGcmKeyWithBox(privateKey, publicKeyBytes, ephemeralKeyBytes) {
+        let publicKey = await webCrypto.subtle.importKey("raw", publicKeyBytes, { name: "ECDH", namedCurve: boxCurve }, false, []);
+        let shared = await webCrypto.subtle.deriveBits({ name: "ECDH", public: publicKey }, privateKey, 256);
+        let sharedKey = await webCrypto.subtle.importKey("raw", shared, "HKDF", false, ["deriveKey"]);
+        let info = new Uint8Array(boxInfo.length + ephemeralKeyBytes.length);
+        info.set(new TextEncoder().encode(boxInfo));
+        info.set(ephemeralKeyBytes, boxInfo.length);
+        return await webCrypto.subtle.deriveKey(
+            {
+                name: "HKDF",
+                hash: "SHA-256",
+                salt: new Uint8Array(0),
+                info
+            },
+            sharedKey,
+            { name: "AES-GCM", length: 256 },
+            false,
+            ["encrypt", "decrypt"]
+        );
+    }
+
+    //#endregion
+
+    //-----------------------
+
+    /////////////////////////////////
+    //#region ENVELOPE FUNCS
+    /////////////////////////////////
+
+    // Encrypt data with an AES-GCM key and a new IV, returning an "nl1." envelope
+    // Any extra header fields (kdf, iter, salt, aad or meta) are authenticated along with the ciphertext
+    async function sealEnvelope(key, data, extraHeader = {}) {
+        let iv = generateRandomArrayBuffer(ivLength);
+        let header = Object.assign({ alg: envelopeAlgorithm, iv: convertBytestoB64Url(iv) }, extraHeader);
+        let protectedHeader = envelopeVersion + '.' + convertBytestoB64Url(new TextEncoder().encode(JSON.stringify(header)));
+        let ciphertext = await webCrypto.subtle.encrypt(
+            {
+                name: "AES-GCM",
+                iv,
+                additionalData: new TextEncoder().encode(protectedHeader)
+            },
+            key,
+            data
+        );
+        return protectedHeader + '.' + convertBytestoB64Url(ciphertext);
+    }
+
+    // Split an envelope (or a version 0 ciphertext) into its parts, throwing if it isn't one this version can read
+    // Returns { version, iv, ciphertext, additionalData, salt, iterations, epk, aad, meta }, where salt (for a passphrase),
+    // epk (for a drop box), aad and meta are null if unset
+    function parseEnvelope(text) {
+        if (typeof text !== 'string') {
+            throw new Error('invalid envelope');
+        }
+        if (!/^nl\d+\./.test(text)) {
+            return parseLegacyCipher(text);
+        }
+        let parts = text.split('.');
+        if (parts[0] !== envelopeVersion) {
+            throw new Error(`unsupported envelope version "${parts[0]}"`);
+        }
+        if (parts.length !== 3) {
+            throw new Error('invalid envelope');
+        }
+        let header;
+        try {
+            header = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(convertB64UrltoBytes(parts[1])));
+        } catch (err) {
+            throw new Error('invalid envelope header');
+        }
+        if (!header || typeof header !== 'object' || Array.isArray(header)) {
+            throw new Error('invalid envelope header');
+        }
+        for (let field of Object.keys(header)) {
+            if (!['alg', 'iv', 'kdf', 'iter', 'salt', 'epk', 'aad', 'meta'].includes(field)) {
+                throw new Error(`unknown envelope header field "${field}"`);
+            }
+        }
+        if (header.alg !== envelopeAlgorithm) {
+            throw new Error(`unsupported envelope algorithm "${header.alg}"`);
+        }
+        let envelope = {
+            version: 1,
+            iv: convertB64UrltoBytes(header.iv || ''),
+            ciphertext: convertB64UrltoBytes(parts[2]),
+            additionalData: new TextEncoder().encode(parts[0] + '.' + parts[1]),
+            salt: null,
+            iterations: 0,
+            epk: null,
+            aad: null,
+            meta: null,
+        };
+        if (envelope.iv.length !== ivLength || envelope.ciphertext.length < 16) {
+            throw new Error('invalid envelope');
+        }
+        if (header.kdf === boxKdf) {
+            if (header.salt !== undefined || header.iter !== undefined) {
+                throw new Error('invalid envelope kdf');
+            }
+            envelope.epk = convertB64UrltoBytes(header.epk || '');
+            if (envelope.epk.length !== boxPublicKeyLength) {
+                throw new Error('invalid envelope ephemeral key');
+            }
+        } else if (header.epk !== undefined) {
+            throw new Error('invalid envelope kdf');
+        } else if (header.kdf !== undefined || header.salt !== undefined || header.iter !== undefined) {
+            if (header.kdf !== envelopeKdf) {
+                throw new Error(`unsupported envelope kdf "${header.kdf}"`);
+            }
+            if (!Number.isInteger(header.iter) || header.iter < 1 || header.iter > envelopeMaxIterations) {
+                throw new Error('invalid envelope kdf iterations');
+            }
+            envelope.salt = convertB64UrltoBytes(header.salt || '');
+            envelope.iterations = header.iter;
+            if (envelope.salt.length < passphraseSaltLength) {
+                throw new Error('invalid envelope kdf salt');
+            }
+        }
+        if (header.aad !== undefined) {
+            if (typeof header.aad !== 'string') {
+                throw new Error('invalid envelope aad');
+            }
+            envelope.aad = header.aad;
+        }
+        if (header.meta !== undefined) {
+            if (!header.meta || typeof header.meta !== 'object' || Array.isArray(header.meta)) {
+                throw new Error('invalid envelope meta');
+            }
+            envelope.meta = header.meta;
+        }
+        return envelope;
+    }
+
+    // Split a version 0 ciphertext ("[p.<salt>]<iv><ciphertext>" in Base64) into the same parts as an envelope
+    function parseLegacyCipher(text) {
+        let salt = null;
+        if (text.startsWith(passphraseFlag)) {
+            // Skip past the flag, the salt comes first
+            let saltB64Length = Math.ceil(passphraseSaltLength / 3) * 4;
+            salt = text.substring(passphraseFlag.length, passphraseFlag.length + saltB64Length);
+            text = text.substring(passphraseFlag.length + saltB64Length);
+        }
+        if (!/^[A-Za-z0-9+/]+={0,2}$/.test(text) || (salt !== null && !/^[A-Za-z0-9+/]{22}==$/.test(salt))) {
+            throw new Error('invalid envelope');
+        }
+        let envelope = {
+            version: 0,
+            iv: new Uint8Array(convertB64toArrayBuffer(text.substring(0, ivB64Length))),
+            ciphertext: new Uint8Array(convertB64toArrayBuffer(text.substring(ivB64Length))),
+            additionalData: null,
+            salt: salt === null ? null : new Uint8Array(convertB64toArrayBuffer(salt)),
+            iterations: salt === null ? 0 : passphraseIterations,
+            epk: null,
+            aad: null,
+            meta: null,
+        };
+        if (envelope.iv.length !== ivLength || envelope.ciphertext.length < 16) {
+            throw new Error('invalid envelope');
+        }
+        return envelope;
+    }
+
+    // Decrypt a parsed envelope with an AES-GCM key, returning an ArrayBuffer
+    async function openEnvelope(key, envelope) {
+        let params = { name: "AES-GCM", iv: envelope.iv };
+        if (envelope.additionalData) {
+            params.additionalData = envelope.additionalData;
+        }
+        return await webCrypto.subtle.decrypt(params, key, envelope.ciphertext);
+    }
+
+    //#endregion
+
+    //-----------------------
+
+    /////////////////////////////////
+    //#region MESSAGE FORMATS
+    /////////////////////////////////
+
+    // Encode a message (bytes or a string) in a format, to be encrypted
+    // Plain text is left as it is, so older clients still read it, anything else is "<0xFF><header>\n<text>", where
+    // header is the UTF-8 JSON { format }
+    function encodeNoteBody(message, format = 'plain') {
+        let text = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+        if (!bodyFormats.includes(format)) {
+            throw new Error(`unsupported message format "${format}"`);
+        }
+        if (format === 'plain') {
+            return text;
+        }
+        let bytes = ArrayBuffer.isView(text) ? new Uint8Array(text.buffer, text.byteOffset, text.byteLength) : new Uint8Array(text);
+        let header = new TextEncoder().encode(JSON.stringify({ format: format }));
+        let body = new Uint8Array(header.length + bytes.length + 2);
+        body[0] = bodyFlag;
+        body.set(header, 1);
+        body[header.length + 1] = 0x0a;
+        body.set(bytes, header.length + 2);
+        return body;
+    }
+
+    // Split a decrypted message into its format and text
+    // Unmarked messages (or ones with a header this version can't read) are plain text, and a format this version
+    // doesn't know is shown as plain text
+    // Returns { message, format }, where message is an ArrayBuffer of the text
+    function decodeNoteBody(buffer) {
+        let bytes = new Uint8Array(buffer);
+        let end = bytes.indexOf(0x0a);
+        if (bytes[0] !== bodyFlag || end < 0) {
+            return { message: buffer, format: 'plain' };
+        }
+        let header;
+        try {
+            header = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(1, end)));
+        } catch (err) {
+            return { message: buffer, format: 'plain' };
+        }
+        let format = header && bodyFormats.includes(header.format) ? header.format : 'plain';
+        return { message: bytes.slice(end + 1).buffer, format: format };
+    }
+
+    //#endregion
+
+    //-----------------------
+
+    /////////////////////////////////
+    //#region NOTE FUNCS
+    /////////////////////////////////
+
+    // Check if a note's ciphertext (an envelope, or version 0) is protected by a passphrase
+    function isPassphraseMessage(message) {
+        try {
+            return parseEnvelope(message).salt !== null;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // Check if a note's ciphertext was sent to a drop box, so needs the requester's private key
+    function isBoxMessage(message) {
+        try {
+            return parseEnvelope(message).epk !== null;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // Take the URL-safe key out of a note link (or just its fragment)
+    function getLinkKey(link) {
+        let hash = link.substring(link.indexOf('#') + 1);
+        return /^[A-Za-z0-9_-]*/.exec(hash)[0].substring(0, keyB64UrlLength);
+    }
+
+    // Take a drop box's URL-safe public or private key out of its upload or private link (or just its fragment)
+    function getLinkBoxKey(link) {
+        let hash = link.substring(link.indexOf('#') + 1);
+        return /^[A-Za-z0-9_-]*/.exec(hash)[0];
+    }
+
+    // Encrypt a message (bytes or a string) in a format ('plain' or 'markdown') and any files ({ name, type, data })
+    // with a new key
+    // A context (i.e. the note's ID) can be bound to the note, so it only decrypts when the reader expects it,
+    // along with metadata (i.e. the sender's chosen { expire, views }) the reader can check the server against
+    // Returns { cipher, attachments, key }, where key is the URL-safe Base64 key to append to the note link
+    async function encryptNote(message, passphrase = '', files = [], context = '', meta = null, format = 'plain') {
+        let encoded = encodeNoteBody(message, format);
+        // Generate an AES-GCM key and convert to Base64 (URL-Safe)
+        let key = await generateAesGcmKey();
+        let urlSafeKey = base64URLencode(await exportAesGcmKeyToBase64(key));
+        // If a passphrase was given, combine it with the key and record how in the header
+        let header = {};
+        let encryptionKey = key;
+        if (passphrase !== '') {
+            let salt = generateRandomArrayBuffer(passphraseSaltLength);
+            encryptionKey = await deriveAesGcmKeyWithPassphrase(key, passphrase, salt, passphraseIterations);
+            header = { kdf: envelopeKdf, iter: passphraseIterations, salt: convertBytestoB64Url(salt) };
+        }
+        if (context !== '') {
+            header.aad = context;
+        }
+        if (meta !== null) {
+            header.meta = meta;
+        }
+        // Encrypt the message, then the files with the same key
+        let cipher = await sealEnvelope(encryptionKey, encoded, header);
+        let attachments = await sealAttachments(encryptionKey, files, context);
+        return { cipher: cipher, attachments: attachments, key: urlSafeKey };
+    }
+
+    // Encrypt a message (bytes or a string) in a format and any files into a drop box, with its URL-safe public key
+    // A new ephemeral key pair agrees on the key with the box's, so only the requester's private key can decrypt it
+    // Returns { cipher, attachments }
+    async function encryptBoxNote(message, urlSafePublicKey, files = [], context = '', format = 'plain') {
+        let encoded = encodeNoteBody(message, format);
+        let ephemeral = await webCrypto.subtle.generateKey({ name: "ECDH", namedCurve: boxCurve }, true, ["deriveBits"]);
+        let ephemeralKeyBytes = new Uint8Array(await webCrypto.subtle.exportKey("raw", ephemeral.publicKey));
+        let encryptionKey = await deriveAesGcmKeyWithBox(ephemeral.privateKey, convertB64UrltoBytes(urlSafePublicKey), ephemeralKeyBytes);
+        let header = { kdf: boxKdf, epk: convertBytestoB64Url(ephemeralKeyBytes) };
+        if (context !== '') {
+            header.aad = context;
+        }
+        let cipher = await sealEnvelope(encryptionKey, encoded, header);
+        let attachments = await sealAttachments(encryptionKey, files, context);
+        return { cipher: cipher, attachments: attachments };
+    }
+
+    // Encrypt each file's name and type, and its contents, as { meta, data } envelopes bound to the note's context
+    async function sealAttachments(key, files, context) {
+        let fileHeader = context !== '' ? { aad: context } : {};
+        let attachments = [];
+        for (let file of files) {
+            let meta = new TextEncoder().encode(JSON.stringify({ name: file.name, type: file.type }));
+            attachments.push({
+                meta: await sealEnvelope(key, meta, fileHeader),
+                data: await sealEnvelope(key, file.data, fileHeader)
+            });
+        }
+        return attachments;
+    }
+
+    // Decrypt a note with its URL-safe key (or the requester's private key, for a drop box), and passphrase if it needs one
+    // Notes bound to a context only decrypt when given the same one, otherwise this throws with err.code 'tampered'
+    // Returns { message, files, meta, format }, where message is an ArrayBuffer of the text, files are
+    // { name, type, data }, meta is the sender's authenticated metadata (or null) and format is how the text is written
+    // Throws if the key or passphrase is wrong, or the note isn't in a format this version can read
+    async function decryptNote(cipher, urlSafeKey, passphrase = '', attachments = [], context = '') {
+        let envelope = parseEnvelope(cipher);
+        checkEnvelopeContext(envelope, context);
+        let key;
+        if (envelope.epk !== null) {
+            // Agree on the key with the sender's ephemeral public key
+            let privateKey = await webCrypto.subtle.importKey("pkcs8", convertB64UrltoBytes(urlSafeKey), { name: "ECDH", namedCurve: boxCurve }, false, ["deriveBits"]);
+            key = await deriveAesGcmKeyWithBox(privateKey, envelope.epk, envelope.epk);
+        } else {
+            key = await importBase64ToAesGcmKey(base64URLdecode(urlSafeKey));
+        }
+        // Combine the key with the passphrase, if the message requires one
+        if (envelope.salt !== null) {
+            key = await deriveAesGcmKeyWithPassphrase(key, passphrase, envelope.salt, envelope.iterations);
+        }
+        let body = decodeNoteBody(await openEnvelope(key, envelope));
+        let files = [];
+        for (let attachment of attachments) {
+            let metaEnvelope = parseEnvelope(attachment.meta);
+            let dataEnvelope = parseEnvelope(attachment.data);
+            checkEnvelopeContext(metaEnvelope, context);
+            checkEnvelopeContext(dataEnvelope, context);
+            let meta = JSON.parse(new TextDecoder().decode(await openEnvelope(key, metaEnvelope)));
+            files.push({ name: meta.name, type: meta.type, data: await openEnvelope(key, dataEnvelope) });
+        }
+        return { message: body.message, files: files, meta: envelope.meta, format: body.format };
+    }
+
+    // Throw if an envelope was bound to a different context than the reader expects
+    // Every envelope is bound to its note, so one with no context only passes for a version 0 note (or a reader not
+    // expecting one), otherwise the server may have stripped it
+    function checkEnvelopeContext(envelope, context) {
+        let unbound = envelope.aad === null && envelope.version > 0 && context !== '';
+        if (unbound || (envelope.aad !== null && envelope.aad !== context)) {
+            let err = new Error(`note was ${unbound ? 'not bound to any' : 'encrypted for a different'} context, it may have been tampered with`);
+            err.code = 'tampered';
+            throw err;
+        }
+    }
+
+    // Check what the server reports about a note as it's read (the views left after this one, and when it expires as
+    // an ISO8601 timestamp, or null for never) against the metadata its sender bound to it (i.e. decryptNote's meta)
+    // Returns false if the server gives the note more views, or a longer life, than the sender chose
+    function checkNoteMeta(meta, views, expires, now = Date.now()) {
+        if (meta === null) {
+            return true;
+        }
+        if (Number.isInteger(meta.views) && views > meta.views - 1) {
+            return false;
+        }
+        if (Number.isInteger(meta.expire)) {
+            let latest = now + (meta.expire + metaClockSkew) * 60 * 1000;
+            if (typeof expires !== 'string' || !(Date.parse(expires) <= latest)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    //#endregion
+
+    //-----------------------
+
+    /////////////////////////////////
+    //#region KEY SHARES
+    /////////////////////////////////
+
+    // Shamir's secret sharing over GF(256), the AES field (x^8 + x^4 + x^3 + x + 1), one byte of the key at a time
+    // Log and exp tables are built from the generator 3, with exp doubled so products never need reducing
+    const gfExp = new Uint8Array(510);
+    const gfLog = new Uint8Array(256);
+    for (let i = 0, x = 1; i < 255; i++) {
+        gfExp[i] = x;
+        gfExp[i + 255] = x;
+        gfLog[x] = i;
+        x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0); // Multiply by 3
+    }
+
+    // Multiply and divide in GF(256) (b is never 0 when dividing)
+    function gfMultiply(a, b) {
+        return a === 0 || b === 0 ? 0 : gfExp[gfLog[a] + gfLog[b]];
+    }
+    function gfDivide(a, b) {
+        return a === 0 ? 0 : gfExp[gfLog[a] + 255 - gfLog[b]];
+    }
+
+    // Split a URL-safe key into count shares, any threshold of which rebuild it (and fewer reveal nothing about it)
+    // Returns the shares as "s<threshold>.<index>.<share>", the share in URL-safe Base64 (43 characters)
+    function splitKey(urlSafeKey, threshold, count) {
+        let secret = convertB64UrltoBytes(urlSafeKey);
+        if (secret.length !== keyLength) {
+            throw new Error('invalid key');
+        }
+        if (!Number.isInteger(threshold) || !Number.isInteger(count) || threshold < 2 || count < threshold || count > shareMaxCount) {
+            throw new Error(`shares must be at least 2 of up to ${shareMaxCount}`);
+        }
+        let shares = [];
+        for (let index = 1; index <= count; index++) {
+            shares.push(new Uint8Array(keyLength));
+        }
+        for (let i = 0; i < keyLength; i++) {
+            // A random polynomial of degree threshold - 1, crossing 0 at the key's byte
+            let coefficients = generateRandomArrayBuffer(threshold);
+            coefficients[0] = secret[i];
+            for (let index = 1; index <= count; index++) {
+                let y = 0;
+                for (let j = threshold - 1; j >= 0; j--) {
+                    y = gfMultiply(y, index) ^ coefficients[j];
+                }
+                shares[index - 1][i] = y;
+            }
+        }
+        return shares.map((share, i) => `${shareFlag}${threshold}.${i + 1}.${convertBytestoB64Url(share)}`);
+    }
+
+    // Read a share, returning { threshold, index, bytes }, or throwing if it isn't one
+    function parseKeyShare(text) {
+        let match = /^s([1-9]\d{0,2})\.([1-9]\d{0,2})\.([A-Za-z0-9_-]{43})$/.exec(typeof text === 'string' ? text.trim() : '');
+        if (!match || Number(match[1]) < 2 || Number(match[1]) > shareMaxCount || Number(match[2]) > shareMaxCount) {
+            throw new Error('invalid key share');
+        }
+        return { threshold: Number(match[1]), index: Number(match[2]), bytes: convertB64UrltoBytes(match[3]) };
+    }
+
+    // Rebuild a URL-safe key from its shares (as text), throwing if there aren't enough or they don't belong together
+    // A wrong share can't be told apart here, the key it rebuilds just won't decrypt the note
+    function combineKeyShares(shares) {
+        let parsed = [];
+        for (let share of shares.map(parseKeyShare)) {
+            if (!parsed.some((other) => other.index === share.index)) {
+                parsed.push(share);
+            }
+        }
+        if (parsed.length === 0 || parsed.some((share) => share.threshold !== parsed[0].threshold)) {
+            throw new Error('key shares do not belong together');
+        }
+        if (parsed.length < parsed[0].threshold) {
+            throw new Error(`${parsed[0].threshold} key shares are needed, only ${parsed.length} given`);
+        }
+        parsed = parsed.slice(0, parsed[0].threshold);
+        // Lagrange interpolation at 0, where subtraction is XOR
+        let secret = new Uint8Array(keyLength);
+        for (let share of parsed) {
+            let weight = 1;
+            for (let other of parsed) {
+                if (other !== share) {
+                    weight = gfMultiply(weight, gfDivide(other.index, other.index ^ share.index));
+                }
+            }
+            for (let i = 0; i < keyLength; i++) {
+                secret[i] ^= gfMultiply(share.bytes[i], weight);
+            }
+        }
+        return convertBytestoB64Url(secret);
+    }
+
+    // Take the key share out of a note link (or just its fragment), or null if the link holds the whole key
+    function getLinkShare(link) {
+        let hash = link.substring(link.indexOf('#') + 1);
+        try {
+            parseKeyShare(hash);
+            return hash;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    //#endregion
+
+    //-----------------------
+
+    /////////////////////////////////
+    //#region PROOF OF WORK
+    /////////////////////////////////
+
+    // Solve a proof-of-work challenge from the server (see lib/challenge.js), by finding a nonce where SHA-256 of
+    // "<challenge>.<nonce>" starts with as many zero bits as the challenge's difficulty
+    // Nonces are hashed a batch at a time, as each WebCrypto digest waits on a promise
+    // Returns the solution to send back, "<challenge>.<nonce>"
+    async function solveChallenge(challenge) {
+        let parts = /^[A-Za-z0-9_-]{22}\.(\d{1,2})\.\d{1,15}\.[A-Za-z0-9_-]{43}$/.exec(challenge);
+        if (!parts || Number(parts[1]) > challengeMaxDifficulty) {
+            throw new Error('invalid proof-of-work challenge');
+        }
+        let difficulty = Number(parts[1]);
+        let encoder = new TextEncoder();
+        for (let start = 0; ; start += challengeBatch) {
+            let hashes = [];
+            for (let nonce = start; nonce < start + challengeBatch; nonce++) {
+                hashes.push(webCrypto.subtle.digest('SHA-256', encoder.encode(`${challenge}.${nonce}`)));
+            }
+            hashes = await Promise.all(hashes);
+            for (let i = 0; i < hashes.length; i++) {
+                let bytes = new Uint8Array(hashes[i]);
+                let bits = 0;
+                while (bits < difficulty && (bytes[bits >> 3] & (0x80 >> (bits & 7))) === 0) {
+                    bits++;
+                }
+                if (bits >= difficulty) {
+                    return `${challenge}.${start + i}`;
+                }
+            }
+        }
+    }
+
+    //#endregion
+
+    return {
+        envelopeVersion, envelopeAlgorithm, envelopeKdf, passphraseFlag, passphraseSaltLength, passphraseIterations, boxKdf,
+        convertB64toArrayBuffer, convertArrayBuffertoB64, base64URLencode, base64URLdecode, convertB64UrltoBytes, convertBytestoB64Url,
+        generateAesGcmKey, exportAesGcmKeyToBase64, importBase64ToAesGcmKey, deriveAesGcmKeyWithPassphrase, generateRandomArrayBuffer,
+        generateBoxKeys, deriveAesGcmKeyWithBox,
+        sealEnvelope, parseEnvelope, openEnvelope,
+        bodyFormats, encodeNoteBody, decodeNoteBody,
+        isPassphraseMessage, isBoxMessage, getLinkKey, getLinkBoxKey, encryptNote, encryptBoxNote, decryptNote, checkNoteMeta,
+        splitKey, parseKeyShare, combineKeyShares, getLinkShare,
+        solveChallenge,
+    };
+});
+
+//#endregion
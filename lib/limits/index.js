@@ -0,0 +1,50 @@
+/////////////////////////////////
+//#region RATE LIMIT STORES
+/////////////////////////////////
+
+const { createMemoryLimitStore } = require('./memory');
+const { createSqliteLimitStore } = require('./sqlite');
+const { createRedisLimitStore } = require('./redis');
+const { connectRedis } = require('../redis');
+
+// Every driver creates stores for express-rate-limit and express-slow-down (one per limiter, told apart by prefix),
+// which also take an amount, so the byte limiter (lib/byteLimit.js) can count bytes instead of requests:
+//   init(options)            - Called by the limiter with its options, only windowMs is used
+//   increment(key, amount)   - Add amount (default 1) to the key's counter, starting a window of windowMs if there was
+//                              none, and return { totalHits, resetTime }
+//   decrement(key, amount)   - Take amount (default 1) back off the key's counter
+//   resetKey(key)            - Forget the key's counter
+const drivers = {
+    // In this process, counters are lost on restart and each notelock keeps its own
+    memory: () => ({
+        create: (prefix) => createMemoryLimitStore(prefix),
+        close: () => {},
+    }),
+    // In the note database (which must be the "sqlite" storage driver to be shared)
+    sqlite: (options) => ({
+        create: (prefix) => createSqliteLimitStore(options.store, prefix),
+        close: () => {},
+    }),
+    // In Redis, at options.redisUrl
+    redis: (options) => {
+        let redis = connectRedis(options.redisUrl, options.log);
+        return {
+            create: (prefix) => createRedisLimitStore(redis, prefix),
+            close: () => redis.disconnect(),
+        };
+    },
+};
+
+// Create rate limit stores using the named driver, with the driver's options (store is the note store, and log a
+// function drivers may call with a message for the server log)
+// Returns { create(prefix), close() }
+function createLimitStores(driver, options = {}) {
+    if (!Object.hasOwn(drivers, driver)) {
+        throw new Error(`Unknown rate limit driver "${driver}", expected one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    return drivers[driver](options);
+}
+
+module.exports = { createLimitStores };
+
+//#endregion
@@ -0,0 +1,56 @@
+/////////////////////////////////
+//#region MEMORY LIMIT STORE
+/////////////////////////////////
+
+// Rate limit counters kept in this process, lost on restart and never shared with another notelock
+function createMemoryLimitStore(prefix) {
+    let clients = new Map(); // key -> { hits, resetTime }
+    let windowMs = 60 * 1000;
+    let cleanup = null;
+
+    // Get a client's counter, unless its window has passed
+    function current(key) {
+        let client = clients.get(key);
+        return client && client.resetTime.getTime() > Date.now() ? client : null;
+    }
+
+    return {
+        prefix: prefix,
+        localKeys: true,
+        init: (options) => {
+            windowMs = options.windowMs;
+            // Forget clients whose window has passed, so the map doesn't grow forever
+            clearInterval(cleanup);
+            cleanup = setInterval(() => {
+                for (let key of clients.keys()) {
+                    if (!current(key)) {
+                        clients.delete(key);
+                    }
+                }
+            }, windowMs);
+            cleanup.unref();
+        },
+        increment: (key, amount = 1) => {
+            let client = current(key);
+            if (!client) {
+                client = { hits: 0, resetTime: new Date(Date.now() + windowMs) };
+                clients.set(key, client);
+            }
+            client.hits += amount;
+            return { totalHits: client.hits, resetTime: client.resetTime };
+        },
+        decrement: (key, amount = 1) => {
+            let client = current(key);
+            if (client) {
+                client.hits = Math.max(0, client.hits - amount);
+            }
+        },
+        resetKey: (key) => {
+            clients.delete(key);
+        },
+    };
+}
+
+module.exports = { createMemoryLimitStore };
+
+//#endregion
@@ -0,0 +1,47 @@
+/////////////////////////////////
+//#region REDIS LIMIT STORE
+/////////////////////////////////
+
+// Rate limit counters kept in Redis, expiring with their window, shared by every notelock using the same server
+function createRedisLimitStore(redis, prefix) {
+    let windowMs = 60 * 1000;
+
+    // Run a transaction, throwing the first command's error
+    async function run(transaction) {
+        let results = await transaction.exec();
+        let failed = results.find(([err]) => err);
+        if (failed) {
+            throw failed[0];
+        }
+        return results.map(([err, value]) => value);
+    }
+
+    return {
+        prefix: prefix,
+        localKeys: false,
+        init: (options) => {
+            windowMs = options.windowMs;
+        },
+        increment: async (key, amount = 1) => {
+            let name = `notelock:limit:${prefix}${key}`;
+            // Start the window if the counter is new, then count the hit, all at once
+            let [, hits, ttl] = await run(redis.multi().set(name, 0, 'PX', windowMs, 'NX').incrby(name, amount).pttl(name));
+            if (ttl < 0) {
+                // A decrement landed just after the counter expired, recreating it without a window
+                await redis.pexpire(name, windowMs);
+                ttl = windowMs;
+            }
+            return { totalHits: hits, resetTime: new Date(Date.now() + ttl) };
+        },
+        decrement: async (key, amount = 1) => {
+            await redis.decrby(`notelock:limit:${prefix}${key}`, amount);
+        },
+        resetKey: async (key) => {
+            await redis.del(`notelock:limit:${prefix}${key}`);
+        },
+    };
+}
+
+module.exports = { createRedisLimitStore };
+
+//#endregion
@@ -0,0 +1,39 @@
+/////////////////////////////////
+//#region SQLITE LIMIT STORE
+/////////////////////////////////
+
+// Rate limit counters kept in the note database (see hitLimit in lib/storage/index.js), so they survive restarts
+// and are shared by every notelock using the same database file
+function createSqliteLimitStore(store, prefix) {
+    let windowMs = 60 * 1000;
+    let cleanup = null;
+
+    return {
+        prefix: prefix,
+        localKeys: false,
+        init: (options) => {
+            windowMs = options.windowMs;
+            // Delete counters whose window has passed (any store's, the table is shared)
+            clearInterval(cleanup);
+            cleanup = setInterval(async () => {
+                await store.expireLimits(new Date().toISOString());
+            }, windowMs);
+            cleanup.unref();
+        },
+        increment: async (key, amount = 1) => {
+            let now = Date.now();
+            let limit = await store.hitLimit(`${prefix}${key}`, amount, new Date(now).toISOString(), new Date(now + windowMs).toISOString());
+            return { totalHits: limit.hits, resetTime: new Date(limit.reset) };
+        },
+        decrement: async (key, amount = 1) => {
+            await store.undoLimit(`${prefix}${key}`, amount, new Date().toISOString());
+        },
+        resetKey: async (key) => {
+            await store.resetLimit(`${prefix}${key}`);
+        },
+    };
+}
+
+module.exports = { createSqliteLimitStore };
+
+//#endregion
@@ -0,0 +1,70 @@
+/////////////////////////////////
+//#region LOGGER
+/////////////////////////////////
+
+const crypto = require('crypto');
+
+// Log levels, least to most severe, a logger only writes messages at or above its own level
+const levels = ['debug', 'info', 'warn', 'error'];
+
+// Fields that identify a client (its IP) or a note (its ID), which can be hashed or dropped for privacy
+const privateFields = ['client', 'id'];
+
+// Create a logger writing one line per message to stdout (stderr for errors)
+//   format  - "text" ("[TAG] <time> : <message>") or "json" (one object per line, with each field)
+//   level   - The least severe level to write
+//   privacy - "full" logs client IPs and note IDs as they are, "hash" replaces them with a keyed hash (the same
+//             value gives the same hash until notelock restarts) and "drop" leaves them out
+// Messages are templates, with {name} replaced by that field, i.e. log.info('NOTELOCK', '{client} posted {id}', { client, id })
+function createLogger({ format = 'text', level = 'info', privacy = 'full' } = {}) {
+    let minLevel = levels.indexOf(level);
+    let hashKey = crypto.randomBytes(32); // Never written anywhere, so hashes can't be reversed by trying every IP
+
+    // Hash or drop a private field, as configured
+    function protect(name, value) {
+        if (privacy === 'full' || !privateFields.includes(name) || value === null || value === undefined) {
+            return value;
+        }
+        if (privacy === 'drop') {
+            return undefined;
+        }
+        return crypto.createHmac('sha256', hashKey).update(`${value}`).digest('hex').substring(0, 16);
+    }
+
+    function write(messageLevel, tag, message, fields = {}) {
+        if (levels.indexOf(messageLevel) < minLevel) {
+            return;
+        }
+        let time = new Date().toISOString();
+        let values = {};
+        for (let name in fields) {
+            let value = protect(name, fields[name]);
+            if (value !== undefined) {
+                values[name] = value;
+            }
+        }
+        let text = message.replace(/\{(\w+)\}/g, (match, name) => Object.hasOwn(values, name) ? `${values[name]}` : '-');
+        let line;
+        if (format === 'json') {
+            line = JSON.stringify(Object.assign({ time: time, level: messageLevel, tag: tag, msg: text }, values));
+        } else {
+            line = `[${tag}] ${time} : ${text}`;
+        }
+        if (messageLevel === 'error') {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+
+    return {
+        debug: (tag, message, fields) => write('debug', tag, message, fields),
+        info: (tag, message, fields) => write('info', tag, message, fields),
+        warn: (tag, message, fields) => write('warn', tag, message, fields),
+        error: (tag, message, fields) => write('error', tag, message, fields),
+    };
+}
+
+module.exports = { createLogger, levels };
+
+//#endregion
@@ -0,0 +1,117 @@
+/////////////////////////////////
+//#region METRICS
+/////////////////////////////////
+
+// A small Prometheus registry, rendering counters, gauges and histograms in the text exposition format
+// Label values should come from a short, fixed list (never client IPs or note IDs), as each one is kept forever
+
+// Escape a label value for the exposition format
+function escapeLabel(value) {
+    return `${value}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Render a set of labels, i.e. {method="GET",status="200"}, or nothing if there are none
+function renderLabels(labels) {
+    let names = Object.keys(labels);
+    if (names.length === 0) {
+        return '';
+    }
+    return `{${names.map((name) => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+// Key a series by its label values, in the order the metric declared its label names
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((name) => `${labels[name] ?? ''}`));
+}
+
+function createMetrics() {
+    let metrics = [];
+
+    // Add a metric, returning its series (label key -> { labels, value })
+    function register(type, name, help, labelNames) {
+        let metric = { type: type, name: name, help: help, labelNames: labelNames, series: new Map(), collect: null };
+        metrics.push(metric);
+        return metric;
+    }
+
+    // Get (or start) a metric's series for some labels
+    function getSeries(metric, labels, start) {
+        let key = seriesKey(metric.labelNames, labels);
+        if (!metric.series.has(key)) {
+            let picked = Object.fromEntries(metric.labelNames.map((name) => [name, labels[name] ?? '']));
+            metric.series.set(key, Object.assign({ labels: picked }, start()));
+        }
+        return metric.series.get(key);
+    }
+
+    // A value that only goes up (starting at 0 when it has no labels, so it's rendered before its first inc())
+    function counter(name, help, labelNames = []) {
+        let metric = register('counter', name, help, labelNames);
+        let inc = (labels = {}, value = 1) => {
+            getSeries(metric, labels, () => ({ value: 0 })).value += value;
+        };
+        if (labelNames.length === 0) {
+            inc({}, 0);
+        }
+        return { inc };
+    }
+
+    // A value that can go up and down, optionally set by collect() (which may be async) each time metrics are rendered
+    function gauge(name, help, labelNames = [], collect = null) {
+        let metric = register('gauge', name, help, labelNames);
+        let set = (labels, value) => {
+            getSeries(metric, labels, () => ({ value: 0 })).value = value;
+        };
+        metric.collect = collect ? () => collect(set) : null;
+        return { set };
+    }
+
+    // Observations counted into buckets (upper bounds), along with their sum and count
+    function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        let metric = register('histogram', name, help, labelNames);
+        metric.buckets = buckets;
+        return {
+            observe: (labels, value) => {
+                let series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) {
+                        series.counts[i]++;
+                    }
+                });
+                series.sum += value;
+                series.count++;
+            },
+        };
+    }
+
+    // Render every metric, collecting gauges first
+    async function render() {
+        let lines = [];
+        for (let metric of metrics) {
+            if (metric.collect) {
+                await metric.collect();
+            }
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (let series of metric.series.values()) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${metric.name}${renderLabels(series.labels)} ${series.value}`);
+                    continue;
+                }
+                metric.buckets.forEach((bound, i) => {
+                    lines.push(`${metric.name}_bucket${renderLabels(Object.assign({}, series.labels, { le: bound }))} ${series.counts[i]}`);
+                });
+                lines.push(`${metric.name}_bucket${renderLabels(Object.assign({}, series.labels, { le: '+Inf' }))} ${series.count}`);
+                lines.push(`${metric.name}_sum${renderLabels(series.labels)} ${series.sum}`);
+                lines.push(`${metric.name}_count${renderLabels(series.labels)} ${series.count}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
+
+//#endregion
@@ -0,0 +1,29 @@
+/////////////////////////////////
+//#region REDIS CONNECTION
+/////////////////////////////////
+
+const { Redis } = require('ioredis');
+
+// Connect to Redis (or anything that speaks its protocol, i.e. Valkey or KeyDB), logging with log(message)
+// Commands fail fast while it's down, so requests error instead of hanging, and the ready check (INFO) is skipped
+// as not every compatible server has it
+function connectRedis(url, log) {
+    let redis = new Redis(url, { maxRetriesPerRequest: 1, enableReadyCheck: false });
+    let failing = false;
+    redis.on('ready', () => {
+        failing = false;
+        log('Connected to Redis');
+    });
+    redis.on('error', (err) => {
+        // Only log the first error of an outage, not every reconnect
+        if (!failing) {
+            failing = true;
+            log(`Could not reach Redis: ${err.message}`);
+        }
+    });
+    return redis;
+}
+
+module.exports = { connectRedis };
+
+//#endregion
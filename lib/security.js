@@ -0,0 +1,63 @@
+/////////////////////////////////
+//#region SECURITY HEADERS
+/////////////////////////////////
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Load a public asset (script or stylesheet) once, so the bytes served always match its integrity hash
+// Returns { integrity, serve }, where integrity goes in the page's integrity attribute (sha384, as in SRI)
+// and serve is the route handler (revalidated by ETag, as a changed file only shows up after a restart)
+function loadAsset(file, type) {
+    return createAsset(fs.readFileSync(file), type);
+}
+
+// Serve an asset made when notelock starts (i.e. a tenant's theme stylesheet) the same way as loadAsset
+function createAsset(body, type) {
+    let integrity = `sha384-${crypto.createHash('sha384').update(body).digest('base64')}`;
+    return {
+        integrity: integrity,
+        serve: (req, res) => {
+            res.set('Cache-Control', 'no-cache');
+            res.type(type).send(body);
+        },
+    };
+}
+
+// Set the security headers on every response, with a fresh CSP nonce for the page's scripts (res.locals.nonce)
+//   hstsMaxAge   - Seconds browsers should only use HTTPS, sent over HTTPS only, 0 to leave it out
+//   styleSources - Extra origins allowed for stylesheets and images (an external branding stylesheet)
+// Pages are never cached, as they can hold a note ID (static assets set their own Cache-Control after this)
+function createSecurityHeaders({ hstsMaxAge = 0, styleSources = [] } = {}) {
+    let extra = styleSources.map((source) => ` ${source}`).join('');
+    return (req, res, next) => {
+        let nonce = crypto.randomBytes(16).toString('base64');
+        res.locals.nonce = nonce;
+        res.set('Content-Security-Policy', [
+            "default-src 'none'",
+            `script-src 'nonce-${nonce}'`,
+            `style-src 'self'${extra}`,
+            `img-src 'self' data:${extra}`,
+            "connect-src 'self'",
+            "worker-src 'self'", // The encryption page solves proof-of-work challenges in a worker running /js/crypto.js
+            "form-action 'self'",
+            "base-uri 'none'",
+            "frame-ancestors 'none'",
+        ].join('; '));
+        res.set('Referrer-Policy', 'no-referrer'); // Note links (and their keys) must never leave in a Referer
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('X-Frame-Options', 'DENY');
+        res.set('Cross-Origin-Opener-Policy', 'same-origin');
+        res.set('Cross-Origin-Resource-Policy', 'same-origin');
+        res.set('Permissions-Policy', 'camera=(), microphone=(), geolocation=(), payment=()');
+        res.set('Cache-Control', 'no-store');
+        if (hstsMaxAge > 0 && req.secure) {
+            res.set('Strict-Transport-Security', `max-age=${hstsMaxAge}; includeSubDomains`);
+        }
+        next();
+    };
+}
+
+module.exports = { loadAsset, createAsset, createSecurityHeaders };
+
+//#endregion
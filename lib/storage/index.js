@@ -0,0 +1,80 @@
+/////////////////////////////////
+//#region NOTE STORAGE
+/////////////////////////////////
+
+const { createSqliteStore } = require('./sqlite');
+const { createRedisStore } = require('./redis');
+
+// Every driver creates a store with the following methods, which may return values or promises:
+//   addData(record)       - Store a note from { uuid, note, attachments, created, expires, views, revoke, status, webhook, box, owner }
+//                           (attachments is a JSON string or null, expires is an ISO8601 timestamp or null to never expire,
+//                           revoke and status are hashes or null, webhook is a URL or null, box is 'open' for an empty
+//                           drop box or null for a note, owner is the hashed client subnet that sent it or null)
+//   findData(uuid, now)   - Get an unexpired note row by UUID (with every field of the record, plus read), or false
+//   takeData(uuid, now, keepUntil)
+//                         - Use up a view of an unexpired note (never an open drop box) and return { note, attachments, views, read, webhook, expires }
+//                           (views remaining, read is when it was first read), or false
+//                           Deletes the note once no views remain, leaving a 'read' tombstone, and must be atomic
+//   findTombstone(uuid, now)
+//                         - Get the unexpired tombstone of a deleted note as { uuid, status, state, at, read }, or false
+//                           (state is 'read', 'expired' or 'revoked', at is when that happened)
+//   deleteValue(uuid, now, keepUntil)
+//                         - Delete a note by UUID, leaving a 'revoked' tombstone, returns true if a note was deleted
+//   expireValue(now, keepUntil)
+//                         - Delete every note expiring at or before now, leaving 'expired' tombstones, and every tombstone
+//                           and reservation expiring at or before now, returns the number of notes deleted
+//   reserveId(uuid, now, expires)
+//                         - Hold an ID for a sender until expires, returns false if a note, tombstone or unexpired
+//                           reservation already has it, and must be atomic
+//   findReservation(uuid, now)
+//                         - Check if an ID has an unexpired reservation, without claiming it
+//   claimId(uuid, now)    - Release an unexpired reservation so its note can be added, returns true if it was held,
+//                           and must be atomic so a reservation is only ever claimed once
+//   fillBox(uuid, now, note, attachments)
+//                         - Put a note into an unexpired open drop box, marking it 'filled', returns true if the box was open,
+//                           and must be atomic so a box is only ever filled once
+//   dumpTable()           - List every note without its ciphertext, as { uuid, created, expires, views }
+//   getStats(now)         - Count what's stored, as { live, boxes, reserved, read, expired, revoked, bytes, databaseBytes }
+//                           (live notes including open drop boxes, unexpired reservations, unexpired tombstones by state,
+//                           the bytes of ciphertext in live notes and the size of the whole backend, or 0 if unknown)
+//   getUsage(owner, now)  - Measure what's stored against the quotas, as { bytes, notes } (the bytes of ciphertext in
+//                           every note, and the number of live notes, including open drop boxes, owned by owner)
+//   purgeAll()            - Delete every note, tombstone and reservation, returns the number of notes deleted
+//   claimWorker(name, holder, now, until)
+//                         - Take the lease on a recurring task (i.e. 'expiry') for holder until until, or keep it if holder
+//                           already has it, returns false while another holder's lease hasn't expired, and must be atomic
+//                           so only one notelock sharing the backend runs the task
+//   releaseWorker(name, holder)
+//                         - Give up holder's lease on a recurring task (when notelock stops), so another can take it at once
+//   close()               - Release the backend
+// SQLite drivers also keep rate limit counters, for the "sqlite" rate limit driver (see lib/limits):
+//   hitLimit(key, amount, now, reset)
+//                         - Add amount to a rate limit counter, starting it over (to expire at reset) if its window ended at
+//                           or before now, and return { hits, reset }, must be atomic so instances sharing the backend
+//                           never lose a hit
+//   undoLimit(key, amount, now)
+//                         - Take amount back off a rate limit counter, if its window hasn't ended
+//   resetLimit(key)       - Forget a rate limit counter
+//   expireLimits(now)     - Delete every rate limit counter whose window ended at or before now
+// Tombstones are only left for notes with a status hash, and are kept until keepUntil (an ISO8601 timestamp)
+const drivers = {
+    // SQLite in memory, notes are lost when notelock stops
+    memory: (options) => createSqliteStore(':memory:', options.log),
+    // SQLite on disk, notes survive restarts
+    sqlite: (options) => createSqliteStore(options.path, options.log),
+    // Redis, shared by every notelock using the same server
+    redis: (options) => createRedisStore(options.redisUrl, options.log),
+};
+
+// Create a note store using the named driver, with the driver's options (and log, a function drivers may call
+// with a message for the server log)
+function createStore(driver, options = {}) {
+    if (!Object.hasOwn(drivers, driver)) {
+        throw new Error(`Unknown storage driver "${driver}", expected one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    return drivers[driver](options);
+}
+
+module.exports = { createStore };
+
+//#endregion
@@ -0,0 +1,328 @@
+/////////////////////////////////
+//#region REDIS STORAGE DRIVER
+/////////////////////////////////
+
+const { connectRedis } = require('../redis');
+
+// Notes are kept in a single Redis server (not a cluster, as the scripts below touch keys they build themselves):
+//   notelock:note:<uuid>     - Hash of the note's fields (null fields are left out)
+//   notelock:notes           - Sorted set of note UUIDs, scored by when they expire (in ms)
+//   notelock:status:<uuid>   - Hash of a tombstone, which Redis deletes once it expires
+//   notelock:statuses        - Sorted set of tombstone UUIDs, scored by when they expire
+//   notelock:reserved:<uuid> - A reserved ID, which Redis deletes once it expires
+//   notelock:reservations    - Sorted set of reserved IDs, scored by when they expire
+//   notelock:worker:<name>   - The notelock holding a worker's lease, until it expires
+//   notelock:bytes           - Bytes of ciphertext in every note, including expired ones not swept yet
+//   notelock:owner:<owner>   - Sorted set of the note UUIDs a client subnet (hashed) sent, scored by when they expire
+// Anything that checks and changes a note runs as a Lua script, so every notelock sharing the server sees it happen at once
+
+// Expiry score for notes that never expire (the latest time a Date can hold)
+const never = 8640000000000000;
+
+// Leave a tombstone for a note that has a status hash, kept until keepUntil (as ISO8601 and ms)
+const bury = `
+local function bury(uuid, state, at, keepUntil, keepUntilMs)
+    local note = 'notelock:note:' .. uuid
+    local status = redis.call('HGET', note, 'status')
+    if not status then
+        return
+    end
+    local tomb = 'notelock:status:' .. uuid
+    redis.call('DEL', tomb)
+    redis.call('HSET', tomb, 'uuid', uuid, 'status', status, 'state', state, 'at', at, 'expires', keepUntil)
+    local read = redis.call('HGET', note, 'read')
+    if read then
+        redis.call('HSET', tomb, 'read', read)
+    end
+    redis.call('PEXPIREAT', tomb, keepUntilMs)
+    redis.call('ZADD', 'notelock:statuses', keepUntilMs, uuid)
+end
+`;
+
+// Delete a note, taking it off its owner's notes and its ciphertext off the byte count
+const drop = `
+local function drop(uuid)
+    local note = 'notelock:note:' .. uuid
+    local owner = redis.call('HGET', note, 'owner')
+    if owner then
+        redis.call('ZREM', 'notelock:owner:' .. owner, uuid)
+    end
+    redis.call('DECRBY', 'notelock:bytes', redis.call('HSTRLEN', note, 'note') + redis.call('HSTRLEN', note, 'attachments'))
+    redis.call('DEL', note)
+    redis.call('ZREM', 'notelock:notes', uuid)
+end
+`;
+
+const scripts = {
+    // Store a note, replacing (and taking off the byte count) any note already using its ID
+    // ARGV: uuid, expiresMs, owner ('' for none), then the note's fields and values
+    addNote: drop + `
+local note = 'notelock:note:' .. ARGV[1]
+drop(ARGV[1])
+for i = 4, #ARGV, 2 do
+    redis.call('HSET', note, ARGV[i], ARGV[i + 1])
+end
+redis.call('ZADD', 'notelock:notes', ARGV[2], ARGV[1])
+redis.call('INCRBY', 'notelock:bytes', redis.call('HSTRLEN', note, 'note') + redis.call('HSTRLEN', note, 'attachments'))
+if ARGV[3] ~= '' then
+    redis.call('ZADD', 'notelock:owner:' .. ARGV[3], ARGV[2], ARGV[1])
+end
+return 1
+`,
+    // Use up a view of an unexpired note (never an open drop box), deleting it once no views remain
+    // An expired note is deleted (leaving an 'expired' tombstone) instead of waiting for the next sweep
+    // ARGV: uuid, now, nowMs, keepUntil, keepUntilMs
+    takeNote: bury + drop + `
+local note = 'notelock:note:' .. ARGV[1]
+local expires = redis.call('ZSCORE', 'notelock:notes', ARGV[1])
+if not expires then
+    return false
+end
+if tonumber(expires) <= tonumber(ARGV[3]) then
+    bury(ARGV[1], 'expired', redis.call('HGET', note, 'expires'), ARGV[4], ARGV[5])
+    drop(ARGV[1])
+    return false
+end
+local fields = redis.call('HMGET', note, 'box', 'views', 'read', 'note', 'attachments', 'webhook', 'expires')
+if fields[1] == 'open' then
+    return false
+end
+local views = tonumber(fields[2]) - 1
+local read = fields[3] or ARGV[2]
+redis.call('HSET', note, 'views', views, 'read', read)
+if views < 1 then
+    bury(ARGV[1], 'read', ARGV[2], ARGV[4], ARGV[5])
+    drop(ARGV[1])
+end
+return { fields[4], fields[5], views, read, fields[6], fields[7] }
+`,
+    // Delete a note, leaving a 'revoked' tombstone
+    // ARGV: uuid, now, keepUntil, keepUntilMs
+    revokeNote: bury + drop + `
+if redis.call('EXISTS', 'notelock:note:' .. ARGV[1]) == 0 then
+    return 0
+end
+bury(ARGV[1], 'revoked', ARGV[2], ARGV[3], ARGV[4])
+drop(ARGV[1])
+return 1
+`,
+    // Delete every note expiring at or before now, leaving 'expired' tombstones, and forget old tombstones and reservations
+    // ARGV: nowMs, keepUntil, keepUntilMs
+    expireNotes: bury + drop + `
+local expired = redis.call('ZRANGEBYSCORE', 'notelock:notes', '-inf', ARGV[1])
+for _, uuid in ipairs(expired) do
+    bury(uuid, 'expired', redis.call('HGET', 'notelock:note:' .. uuid, 'expires'), ARGV[2], ARGV[3])
+    drop(uuid)
+end
+redis.call('ZREMRANGEBYSCORE', 'notelock:statuses', '-inf', ARGV[1])
+redis.call('ZREMRANGEBYSCORE', 'notelock:reservations', '-inf', ARGV[1])
+return #expired
+`,
+    // Hold an ID until expires, unless a note, tombstone or reservation already has it
+    // ARGV: uuid, expiresMs
+    reserveId: `
+if redis.call('EXISTS', 'notelock:note:' .. ARGV[1], 'notelock:status:' .. ARGV[1], 'notelock:reserved:' .. ARGV[1]) > 0 then
+    return 0
+end
+redis.call('SET', 'notelock:reserved:' .. ARGV[1], 1)
+redis.call('PEXPIREAT', 'notelock:reserved:' .. ARGV[1], ARGV[2])
+redis.call('ZADD', 'notelock:reservations', ARGV[2], ARGV[1])
+return 1
+`,
+    // Put a note into an unexpired open drop box, marking it 'filled'
+    // ARGV: uuid, nowMs, note, attachments ('' for none)
+    fillBox: `
+local note = 'notelock:note:' .. ARGV[1]
+local expires = redis.call('ZSCORE', 'notelock:notes', ARGV[1])
+if not expires or tonumber(expires) <= tonumber(ARGV[2]) or redis.call('HGET', note, 'box') ~= 'open' then
+    return 0
+end
+redis.call('HSET', note, 'note', ARGV[3], 'box', 'filled')
+if ARGV[4] ~= '' then
+    redis.call('HSET', note, 'attachments', ARGV[4])
+end
+redis.call('INCRBY', 'notelock:bytes', string.len(ARGV[3]) + string.len(ARGV[4]))
+return 1
+`,
+    // Bytes of ciphertext in unexpired notes, and how many of them owner sent
+    // ARGV: nowMs, owner
+    getUsage: `
+local bytes = tonumber(redis.call('GET', 'notelock:bytes') or '0')
+for _, uuid in ipairs(redis.call('ZRANGEBYSCORE', 'notelock:notes', '-inf', ARGV[1])) do
+    local note = 'notelock:note:' .. uuid
+    bytes = bytes - redis.call('HSTRLEN', note, 'note') - redis.call('HSTRLEN', note, 'attachments')
+end
+return { bytes, redis.call('ZCOUNT', 'notelock:owner:' .. ARGV[2], '(' .. ARGV[1], '+inf') }
+`,
+    // Delete every note, tombstone and reservation, returning the number of notes
+    purgeAll: drop + `
+local notes = redis.call('ZRANGE', 'notelock:notes', 0, -1)
+for _, uuid in ipairs(notes) do
+    drop(uuid)
+end
+for set, prefix in pairs({ statuses = 'notelock:status:', reservations = 'notelock:reserved:' }) do
+    for _, uuid in ipairs(redis.call('ZRANGE', 'notelock:' .. set, 0, -1)) do
+        redis.call('DEL', prefix .. uuid)
+    end
+    redis.call('DEL', 'notelock:' .. set)
+end
+redis.call('DEL', 'notelock:bytes')
+return #notes
+`,
+    // Take (or keep) a worker's lease until untilMs, unless another holder has it
+    // ARGV: name, holder, untilMs
+    claimWorker: `
+local key = 'notelock:worker:' .. ARGV[1]
+local current = redis.call('GET', key)
+if current and current ~= ARGV[2] then
+    return 0
+end
+redis.call('SET', key, ARGV[2])
+redis.call('PEXPIREAT', key, ARGV[3])
+return 1
+`,
+    // Give up a worker's lease, if holder still has it
+    // ARGV: name, holder
+    releaseWorker: `
+local key = 'notelock:worker:' .. ARGV[1]
+if redis.call('GET', key) == ARGV[2] then
+    redis.call('DEL', key)
+end
+return 1
+`,
+};
+
+// Turn an ISO8601 timestamp into ms
+function toMs(timeStamp) {
+    return new Date(timeStamp).getTime();
+}
+
+// Read a note's hash back into a row like the SQLite driver's, or false if it's empty
+function toRow(hash) {
+    if (!hash || !hash.uuid) {
+        return false;
+    }
+    let row = { uuid: hash.uuid, note: hash.note, attachments: null, created: hash.created, expires: null, views: Number(hash.views), revoke: null, status: null, read: null, webhook: null, box: null, owner: null };
+    for (let field of ['attachments', 'expires', 'revoke', 'status', 'read', 'webhook', 'box', 'owner']) {
+        if (hash[field] !== undefined) {
+            row[field] = hash[field];
+        }
+    }
+    return row;
+}
+
+// Create a note store backed by the Redis server at url (or an ioredis client, like the tests' stand-in), shared by
+// every notelock using it
+function createRedisStore(url, log = (message) => console.log("[REDIS]", new Date().toISOString(), ":", message)) {
+    const redis = typeof url === 'string' ? connectRedis(url, log) : url;
+    for (let name in scripts) {
+        redis.defineCommand(name, { numberOfKeys: 0, lua: scripts[name] });
+    }
+
+    return {
+        addData: async (record) => {
+            let fields = [];
+            for (let field in record) {
+                if (record[field] !== null && record[field] !== undefined) {
+                    fields.push(field, record[field]);
+                }
+            }
+            let expires = record.expires ? toMs(record.expires) : never;
+            await redis.addNote(record.uuid, expires, record.owner || '', ...fields);
+        },
+        findData: async (uuid, now) => {
+            let row = toRow(await redis.hgetall(`notelock:note:${uuid}`));
+            return row && (row.expires === null || row.expires > now) ? row : false;
+        },
+        takeData: async (uuid, now, keepUntil) => {
+            let taken = await redis.takeNote(uuid, now, toMs(now), keepUntil, toMs(keepUntil));
+            if (!taken) {
+                return false;
+            }
+            return { note: taken[0], attachments: taken[1], views: taken[2], read: taken[3], webhook: taken[4], expires: taken[5] || null };
+        },
+        findTombstone: async (uuid, now) => {
+            let tomb = await redis.hgetall(`notelock:status:${uuid}`);
+            if (!tomb || !tomb.uuid || tomb.expires <= now) {
+                return false;
+            }
+            return { uuid: tomb.uuid, status: tomb.status, state: tomb.state, at: tomb.at, read: tomb.read || null, expires: tomb.expires };
+        },
+        deleteValue: async (uuid, now, keepUntil) => {
+            return await redis.revokeNote(uuid, now, keepUntil, toMs(keepUntil)) === 1;
+        },
+        expireValue: async (now, keepUntil) => {
+            return await redis.expireNotes(toMs(now), keepUntil, toMs(keepUntil));
+        },
+        reserveId: async (uuid, now, expires) => {
+            return await redis.reserveId(uuid, toMs(expires)) === 1;
+        },
+        findReservation: async (uuid, now) => {
+            // Redis deletes the reservation once it expires
+            return await redis.exists(`notelock:reserved:${uuid}`) === 1;
+        },
+        claimId: async (uuid, now) => {
+            // The reservation is gone once it expires, so deleting it is enough to claim it once
+            let [[, deleted]] = await redis.multi().del(`notelock:reserved:${uuid}`).zrem('notelock:reservations', uuid).exec();
+            return deleted > 0;
+        },
+        fillBox: async (uuid, now, note, attachments) => {
+            return await redis.fillBox(uuid, toMs(now), note, attachments || '') === 1;
+        },
+        dumpTable: async () => {
+            let uuids = await redis.zrange('notelock:notes', 0, -1);
+            let pipeline = redis.pipeline();
+            uuids.forEach((uuid) => pipeline.hmget(`notelock:note:${uuid}`, 'created', 'expires', 'views'));
+            let results = uuids.length > 0 ? await pipeline.exec() : [];
+            return uuids.map((uuid, i) => {
+                let [created, expires, views] = results[i][1];
+                return { uuid: uuid, created: created, expires: expires, views: Number(views) };
+            });
+        },
+        getStats: async (now) => {
+            let nowMs = toMs(now);
+            let [[, notes], [, reserved], [, tombs]] = await redis.multi()
+                .zrangebyscore('notelock:notes', `(${nowMs}`, '+inf')
+                .zcount('notelock:reservations', `(${nowMs}`, '+inf')
+                .zrangebyscore('notelock:statuses', `(${nowMs}`, '+inf')
+                .exec();
+            let pipeline = redis.pipeline();
+            notes.forEach((uuid) => pipeline.hget(`notelock:note:${uuid}`, 'box').hstrlen(`notelock:note:${uuid}`, 'note').hstrlen(`notelock:note:${uuid}`, 'attachments'));
+            tombs.forEach((uuid) => pipeline.hget(`notelock:status:${uuid}`, 'state'));
+            let results = (notes.length + tombs.length > 0 ? await pipeline.exec() : []).map(([err, value]) => value);
+            let stats = { live: notes.length, boxes: 0, reserved: reserved, read: 0, expired: 0, revoked: 0, bytes: 0, databaseBytes: 0 };
+            for (let i = 0; i < notes.length; i++) {
+                if (results[i * 3] === 'open') {
+                    stats.boxes++;
+                }
+                stats.bytes += results[i * 3 + 1] + results[i * 3 + 2];
+            }
+            for (let state of results.slice(notes.length * 3)) {
+                if (['read', 'expired', 'revoked'].includes(state)) {
+                    stats[state]++;
+                }
+            }
+            return stats;
+        },
+        getUsage: async (owner, now) => {
+            let [bytes, notes] = await redis.getUsage(toMs(now), owner || '');
+            return { bytes: bytes, notes: notes };
+        },
+        purgeAll: async () => {
+            return await redis.purgeAll();
+        },
+        claimWorker: async (name, holder, now, until) => {
+            return await redis.claimWorker(name, holder, toMs(until)) === 1;
+        },
+        releaseWorker: async (name, holder) => {
+            await redis.releaseWorker(name, holder);
+        },
+        close: () => {
+            redis.disconnect();
+        },
+    };
+}
+
+module.exports = { createRedisStore };
+
+//#endregion
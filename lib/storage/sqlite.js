@@ -0,0 +1,253 @@
+/////////////////////////////////
+//#region SQLITE STORAGE DRIVER
+/////////////////////////////////
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+// Never edit a migration once released, add a new one to the end instead
+const migrations = [
+    // 1 - Notes table
+    `CREATE TABLE notelock (
+        uuid TEXT PRIMARY KEY,
+        note TEXT NOT NULL,
+        created TEXT NOT NULL,
+        expires TEXT,
+        views INTEGER NOT NULL DEFAULT 1
+    );
+    CREATE INDEX notelock_expires ON notelock (expires);`,
+    // 2 - Hashed revoke tokens, so senders can delete unread notes
+    `ALTER TABLE notelock ADD COLUMN revoke TEXT;`,
+    // 3 - Read receipts, with tombstones that outlive their notes (without the ciphertext)
+    `ALTER TABLE notelock ADD COLUMN status TEXT;
+    ALTER TABLE notelock ADD COLUMN read TEXT;
+    ALTER TABLE notelock ADD COLUMN webhook TEXT;
+    CREATE TABLE notelock_status (
+        uuid TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        state TEXT NOT NULL,
+        at TEXT NOT NULL,
+        read TEXT,
+        expires TEXT NOT NULL
+    );
+    CREATE INDEX notelock_status_expires ON notelock_status (expires);`,
+    // 4 - Encrypted file attachments, as a JSON array
+    `ALTER TABLE notelock ADD COLUMN attachments TEXT;`,
+    // 5 - Note IDs reserved before encryption, so the ciphertext can be bound to its ID
+    `CREATE TABLE notelock_reserved (
+        uuid TEXT PRIMARY KEY,
+        expires TEXT NOT NULL
+    );
+    CREATE INDEX notelock_reserved_expires ON notelock_reserved (expires);`,
+    // 6 - Drop boxes, requested secrets that stay 'open' (and unreadable) until filled
+    `ALTER TABLE notelock ADD COLUMN box TEXT;`,
+    // 7 - Rate limit counters, so every notelock sharing the database shares its limits
+    `CREATE TABLE notelock_limits (
+        key TEXT PRIMARY KEY,
+        hits INTEGER NOT NULL,
+        reset TEXT NOT NULL
+    );
+    CREATE INDEX notelock_limits_reset ON notelock_limits (reset);`,
+    // 8 - Worker leases, so only one notelock sharing the database runs each recurring task
+    `CREATE TABLE notelock_workers (
+        name TEXT PRIMARY KEY,
+        holder TEXT NOT NULL,
+        expires TEXT NOT NULL
+    );`,
+    // 9 - Hashed client subnets, so each can be held to a quota of stored notes
+    `ALTER TABLE notelock ADD COLUMN owner TEXT;
+    CREATE INDEX notelock_owner ON notelock (owner);`,
+];
+
+// Bring the database schema up to date, logging each migration with log(message)
+function migrate(db, log) {
+    let version = db.pragma('user_version', { simple: true });
+    for (let i = version; i < migrations.length; i++) {
+        db.transaction(() => {
+            db.exec(migrations[i]);
+            db.pragma(`user_version = ${i + 1}`);
+        })();
+        log(`Applied schema migration ${i + 1}`);
+    }
+}
+
+// Create a note store backed by SQLite, on disk at dbPath or in memory if dbPath is ':memory:'
+function createSqliteStore(dbPath, log = (message) => console.log("[SQLITE3]", new Date().toISOString(), ":", message)) {
+    // Open the DB, creating its directory if needed
+    if (dbPath !== ':memory:') {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+    const db = new Database(dbPath);
+    if (dbPath !== ':memory:') {
+        db.pragma('journal_mode = WAL'); // Readers don't block the writer, and crashes can't corrupt the file
+    }
+    migrate(db, log);
+
+    // Prepare the SQL statements
+    const insert = db.prepare('INSERT INTO notelock (uuid, note, attachments, created, expires, views, revoke, status, webhook, box, owner) VALUES (@uuid, @note, @attachments, @created, @expires, @views, @revoke, @status, @webhook, @box, @owner)');
+    const find = db.prepare('SELECT * FROM notelock WHERE uuid = ? AND (expires IS NULL OR expires > ?)');
+    const view = db.prepare("UPDATE notelock SET views = views - 1, read = COALESCE(read, @now) WHERE uuid = @uuid AND (expires IS NULL OR expires > @now) AND (box IS NULL OR box <> 'open') RETURNING note, attachments, views, read, webhook, expires");
+    const del = db.prepare('DELETE FROM notelock WHERE uuid = ?');
+    const expire = db.prepare('DELETE FROM notelock WHERE expires <= ?');
+    const dump = db.prepare('SELECT uuid, created, expires, views FROM notelock');
+
+    // Tombstones, so senders can still see what happened to a note once it's gone
+    const bury = db.prepare("INSERT OR REPLACE INTO notelock_status (uuid, status, state, at, read, expires) SELECT uuid, status, @state, @at, read, @keepUntil FROM notelock WHERE uuid = @uuid AND status IS NOT NULL");
+    const buryExpired = db.prepare("INSERT OR REPLACE INTO notelock_status (uuid, status, state, at, read, expires) SELECT uuid, status, 'expired', expires, read, @keepUntil FROM notelock WHERE expires <= @now AND status IS NOT NULL");
+    const findTomb = db.prepare('SELECT * FROM notelock_status WHERE uuid = ? AND expires > ?');
+    const expireTombs = db.prepare('DELETE FROM notelock_status WHERE expires <= ?');
+
+    // Reserved IDs, held for a sender until they upload the note or the reservation expires
+    const findUsed = db.prepare('SELECT 1 FROM notelock WHERE uuid = @uuid UNION ALL SELECT 1 FROM notelock_status WHERE uuid = @uuid UNION ALL SELECT 1 FROM notelock_reserved WHERE uuid = @uuid AND expires > @now');
+    const reserve = db.prepare('INSERT OR REPLACE INTO notelock_reserved (uuid, expires) VALUES (@uuid, @expires)');
+    const findReserved = db.prepare('SELECT 1 FROM notelock_reserved WHERE uuid = ? AND expires > ?');
+    const claim = db.prepare('DELETE FROM notelock_reserved WHERE uuid = ? AND expires > ?');
+    const expireReserved = db.prepare('DELETE FROM notelock_reserved WHERE expires <= ?');
+    const countNotes = db.prepare("SELECT COUNT(*) AS live, COUNT(CASE WHEN box = 'open' THEN 1 END) AS boxes, COALESCE(SUM(LENGTH(note) + COALESCE(LENGTH(attachments), 0)), 0) AS bytes FROM notelock WHERE expires IS NULL OR expires > ?");
+    const countTombs = db.prepare('SELECT state, COUNT(*) AS count FROM notelock_status WHERE expires > ? GROUP BY state');
+    const usage = db.prepare('SELECT COALESCE(SUM(LENGTH(note) + COALESCE(LENGTH(attachments), 0)), 0) AS bytes, COUNT(CASE WHEN owner = @owner THEN 1 END) AS notes FROM notelock WHERE expires IS NULL OR expires > @now');
+    const countReserved = db.prepare('SELECT COUNT(*) AS reserved FROM notelock_reserved WHERE expires > ?');
+    const purgeNotes = db.prepare('DELETE FROM notelock');
+    const purgeTombs = db.prepare('DELETE FROM notelock_status');
+    const purgeReserved = db.prepare('DELETE FROM notelock_reserved');
+    const fill = db.prepare("UPDATE notelock SET note = @note, attachments = @attachments, box = 'filled' WHERE uuid = @uuid AND box = 'open' AND (expires IS NULL OR expires > @now)");
+
+    // Rate limit counters, starting a new window (until reset) when the last one has passed
+    // (every SET expression sees the row as it was, so both check the old reset)
+    const hit = db.prepare('INSERT INTO notelock_limits (key, hits, reset) VALUES (@key, @amount, @reset) ON CONFLICT (key) DO UPDATE SET hits = CASE WHEN reset <= @now THEN excluded.hits ELSE hits + excluded.hits END, reset = CASE WHEN reset <= @now THEN excluded.reset ELSE reset END RETURNING hits, reset');
+    const undo = db.prepare('UPDATE notelock_limits SET hits = MAX(hits - @amount, 0) WHERE key = @key AND reset > @now');
+    const resetLimit = db.prepare('DELETE FROM notelock_limits WHERE key = ?');
+    const expireLimits = db.prepare('DELETE FROM notelock_limits WHERE reset <= ?');
+
+    // Worker leases, taken over only once they expire
+    const unlease = db.prepare('DELETE FROM notelock_workers WHERE name = ? AND holder = ?');
+    const lease = db.prepare('INSERT INTO notelock_workers (name, holder, expires) VALUES (@name, @holder, @until) ON CONFLICT (name) DO UPDATE SET holder = excluded.holder, expires = excluded.expires WHERE notelock_workers.holder = excluded.holder OR notelock_workers.expires <= @now');
+
+    // Use up a view and delete the row once no views remain, together so two readers can't share a view
+    const take = db.transaction((uuid, now, keepUntil) => {
+        let note = view.get({ uuid: uuid, now: now });
+        if (note && note.views < 1) {
+            bury.run({ uuid: uuid, state: 'read', at: now, keepUntil: keepUntil });
+            del.run(uuid);
+        }
+        return note;
+    });
+
+    // Leave a tombstone for a revoked note, then delete it
+    const revoke = db.transaction((uuid, now, keepUntil) => {
+        bury.run({ uuid: uuid, state: 'revoked', at: now, keepUntil: keepUntil });
+        return del.run(uuid).changes > 0;
+    });
+
+    // Leave tombstones for expired notes, then delete them along with old tombstones and reservations
+    const expireAll = db.transaction((now, keepUntil) => {
+        buryExpired.run({ now: now, keepUntil: keepUntil });
+        expireTombs.run(now);
+        expireReserved.run(now);
+        return expire.run(now).changes;
+    });
+
+    // Reserve an ID, unless a note, tombstone or live reservation already has it
+    const reserveId = db.transaction((uuid, now, expires) => {
+        if (findUsed.get({ uuid: uuid, now: now })) {
+            return false;
+        }
+        reserve.run({ uuid: uuid, expires: expires });
+        return true;
+    });
+
+    // Count the live notes and drop boxes, reservations and tombstones by state, and how much space they take
+    const stats = db.transaction((now) => {
+        let notes = countNotes.get(now);
+        let tombs = Object.fromEntries(countTombs.all(now).map((row) => [row.state, row.count]));
+        return {
+            live: notes.live,
+            boxes: notes.boxes,
+            reserved: countReserved.get(now).reserved,
+            read: tombs.read || 0,
+            expired: tombs.expired || 0,
+            revoked: tombs.revoked || 0,
+            bytes: notes.bytes,
+            databaseBytes: db.pragma('page_count', { simple: true }) * db.pragma('page_size', { simple: true }),
+        };
+    });
+
+    // Delete every note, tombstone and reservation
+    const purge = db.transaction(() => {
+        purgeTombs.run();
+        purgeReserved.run();
+        return purgeNotes.run().changes;
+    });
+
+    return {
+        addData: (record) => {
+            insert.run(record);
+        },
+        findData: (uuid, now) => {
+            return find.get(uuid, now) || false;
+        },
+        takeData: (uuid, now, keepUntil) => {
+            return take(uuid, now, keepUntil) || false;
+        },
+        findTombstone: (uuid, now) => {
+            return findTomb.get(uuid, now) || false;
+        },
+        deleteValue: (uuid, now, keepUntil) => {
+            return revoke(uuid, now, keepUntil);
+        },
+        expireValue: (now, keepUntil) => {
+            return expireAll(now, keepUntil);
+        },
+        reserveId: (uuid, now, expires) => {
+            return reserveId(uuid, now, expires);
+        },
+        findReservation: (uuid, now) => {
+            return findReserved.get(uuid, now) !== undefined;
+        },
+        claimId: (uuid, now) => {
+            return claim.run(uuid, now).changes > 0;
+        },
+        fillBox: (uuid, now, note, attachments) => {
+            return fill.run({ uuid: uuid, now: now, note: note, attachments: attachments }).changes > 0;
+        },
+        dumpTable: () => {
+            return dump.all();
+        },
+        getStats: (now) => {
+            return stats(now);
+        },
+        getUsage: (owner, now) => {
+            return usage.get({ owner: owner, now: now });
+        },
+        purgeAll: () => {
+            return purge();
+        },
+        hitLimit: (key, amount, now, reset) => {
+            return hit.get({ key: key, amount: amount, now: now, reset: reset });
+        },
+        undoLimit: (key, amount, now) => {
+            undo.run({ key: key, amount: amount, now: now });
+        },
+        resetLimit: (key) => {
+            resetLimit.run(key);
+        },
+        expireLimits: (now) => {
+            return expireLimits.run(now).changes;
+        },
+        claimWorker: (name, holder, now, until) => {
+            return lease.run({ name: name, holder: holder, now: now, until: until }).changes > 0;
+        },
+        releaseWorker: (name, holder) => {
+            unlease.run(name, holder);
+        },
+        close: () => {
+            db.close();
+        },
+    };
+}
+
+module.exports = { createSqliteStore };
+
+//#endregion
@@ -0,0 +1,162 @@
+/////////////////////////////////
+//#region TENANTS
+/////////////////////////////////
+
+const fs = require('fs');
+const { ConfigError } = require('./config');
+
+// Branding and note settings for each hostname notelock is served under, read from the tenant file (tenantFile)
+// {
+//   "notes.sales.example.com": {
+//     "title": "sales notes",                 - Page title and header
+//     "footer": "...",                        - Text shown above "powered by notelock"
+//     "stylesheet": "./branding/sales.css",   - Stylesheet in views/branding, or an https URL (like customBranding)
+//     "logo": "./branding/sales.svg",         - Image in views/branding, or an https URL, shown above the header
+//     "colors": { "background": "#1D4F91", "text": "#fff", "accent": "#fff", "form": "#53565A" },
+//     "publicUrl": "https://...",             - Base URL for note links, instead of the hostname itself
+//     "noteLife": 24, "noteMinLife": 5, "noteMaxLife": 168, "noteMaxViews": 10
+//   },
+//   "default": { ... }                        - Used for every other hostname
+// }
+// Each entry only needs what it changes, the rest comes from the server's settings (publicUrl only for "default")
+const defaultName = 'default';
+const fields = {
+    title: (value) => typeof value === 'string' && value.length > 0 && value.length <= 100,
+    footer: (value) => typeof value === 'string' && value.length <= 500,
+    stylesheet: (value) => typeof value === 'string' && (/^(\.\/|\/)?branding\/[\w.-]+\.css$/.test(value) || /^https:\/\/[^/?#]+\/[^?#]*$/.test(value)),
+    logo: (value) => typeof value === 'string' && (/^(\.\/|\/)?branding\/[\w.-]+\.(svg|png|jpe?g|gif|webp)$/.test(value) || /^https:\/\/[^/?#]+\/[^?#"]*$/.test(value)),
+    colors: (value) => value !== null && typeof value === 'object' && Object.entries(value).every(([name, color]) => {
+        return ['background', 'text', 'accent', 'form'].includes(name) && /^(#[0-9A-Fa-f]{3,8}|[a-z]{3,20})$/.test(color);
+    }),
+    publicUrl: (value) => typeof value === 'string' && /^https?:\/\/[^/?#]+(\/[^?#]*)?$/.test(value),
+    noteLife: (value) => Number.isInteger(value) && value >= 1,
+    noteMinLife: (value) => Number.isInteger(value) && value >= 1,
+    noteMaxLife: (value) => Number.isInteger(value) && value >= 1,
+    noteMaxViews: (value) => Number.isInteger(value) && value >= 1,
+};
+const fieldHelp = {
+    title: 'text of up to 100 characters',
+    footer: 'text of up to 500 characters',
+    stylesheet: 'a CSS file in views/branding (i.e. "./branding/style.css") or an https URL',
+    logo: 'an image in views/branding (i.e. "./branding/logo.svg") or an https URL',
+    colors: 'an object of background, text, accent and form colors, each a hex color or a color name',
+    publicUrl: 'an http(s) URL without a query or fragment',
+    noteLife: 'a whole number of hours, at least 1',
+    noteMinLife: 'a whole number of minutes, at least 1',
+    noteMaxLife: 'a whole number of hours, at least 1',
+    noteMaxViews: 'a whole number, at least 1',
+};
+
+// Make the stylesheet for a tenant's logo and colors, or null if it has neither
+function getThemeStylesheet(tenant) {
+    let rules = [];
+    let colors = tenant.colors;
+    if (tenant.logo !== '') {
+        let logo = /^https:/.test(tenant.logo) ? tenant.logo : `/${tenant.logo.replace(/^\.?\//, '')}`;
+        rules.push(`.branding-image {\n  background-image: url("${logo}");\n}`);
+    }
+    if (colors.background || colors.text) {
+        rules.push(`html {\n${colors.background ? `  background-color: ${colors.background};\n` : ''}${colors.text ? `  color: ${colors.text};\n` : ''}}`);
+    }
+    if (colors.accent) {
+        rules.push(`a,\nh1,\nh1 a:hover {\n  color: ${colors.accent};\n}`);
+        rules.push(`.branding-image {\n  border-bottom-color: ${colors.accent};\n}`);
+    }
+    if (colors.form) {
+        rules.push(`.control {\n  background-color: ${colors.form};\n}`);
+    }
+    if (rules.length === 0) {
+        return null;
+    }
+    return `/*\nTHEME FOR ${tenant.host === null ? 'EVERY OTHER HOST' : tenant.host.toUpperCase()}\n*/\n\n${rules.join('\n\n')}\n`;
+}
+
+// Read the tenant file (none if file is blank), layering each entry on the server's settings (defaults)
+// Throws a ConfigError listing every problem in the file
+// Returns { tenants, resolve(hostname) }, where tenants lists them all (the default last) and resolve finds the one
+// for a request's hostname, each { host, title, footer, stylesheet, logo, colors, publicUrl, noteLife, noteMinLife,
+// noteMaxLife, noteMaxViews } (host is null for the default, stylesheet and logo are '' if not set)
+function loadTenants(file, defaults) {
+    let entries = {};
+    if (file !== '') {
+        try {
+            entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new ConfigError([`tenantFile ${file} could not be read: ${err.message}`]);
+        }
+        if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+            throw new ConfigError([`tenantFile ${file} must hold an object of hostnames`]);
+        }
+    }
+
+    let problems = [];
+    let hosts = new Map();
+    let fallback = null;
+    for (let [name, entry] of Object.entries(entries).concat(Object.keys(entries).some((name) => name.toLowerCase() === defaultName) ? [] : [[defaultName, {}]])) {
+        let host = name.toLowerCase();
+        if (host !== defaultName && !/^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/.test(host)) {
+            problems.push(`tenant "${name}" must be a hostname (i.e. "notes.example.com") or "${defaultName}"`);
+            continue;
+        }
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+            problems.push(`tenant "${name}" must be an object of settings`);
+            continue;
+        }
+        for (let [field, value] of Object.entries(entry)) {
+            if (!Object.hasOwn(fields, field)) {
+                problems.push(`tenant "${name}" has an unknown setting "${field}", expected one of: ${Object.keys(fields).join(', ')}`);
+            } else if (!fields[field](value)) {
+                problems.push(`tenant "${name}" ${field} must be ${fieldHelp[field]}, got ${JSON.stringify(value)}`);
+            }
+        }
+        let tenant = {
+            host: host === defaultName ? null : host,
+            title: defaults.title,
+            footer: '',
+            stylesheet: defaults.stylesheet,
+            logo: '',
+            colors: {},
+            publicUrl: host === defaultName ? defaults.publicUrl : '',
+            noteLife: defaults.noteLife,
+            noteMinLife: defaults.noteMinLife,
+            noteMaxLife: defaults.noteMaxLife,
+            noteMaxViews: defaults.noteMaxViews,
+        };
+        Object.assign(tenant, entry);
+        if (tenant.noteLife > tenant.noteMaxLife) {
+            problems.push(`tenant "${name}" noteLife (${tenant.noteLife} hours) can not be longer than noteMaxLife (${tenant.noteMaxLife} hours)`);
+        }
+        if (tenant.noteMinLife > tenant.noteMaxLife * 60) {
+            problems.push(`tenant "${name}" noteMinLife (${tenant.noteMinLife} minutes) can not be longer than noteMaxLife (${tenant.noteMaxLife} hours)`);
+        }
+        if (tenant.noteMinLife > tenant.noteLife * 60) {
+            problems.push(`tenant "${name}" noteMinLife (${tenant.noteMinLife} minutes) can not be longer than noteLife (${tenant.noteLife} hours)`);
+        }
+        // Tenants can tighten the server's limits, never loosen them
+        if (tenant.noteMaxLife > defaults.noteMaxLife) {
+            problems.push(`tenant "${name}" noteMaxLife (${tenant.noteMaxLife} hours) can not be longer than the server's noteMaxLife (${defaults.noteMaxLife} hours)`);
+        }
+        if (tenant.noteMaxViews > defaults.noteMaxViews) {
+            problems.push(`tenant "${name}" noteMaxViews (${tenant.noteMaxViews}) can not be more than the server's noteMaxViews (${defaults.noteMaxViews})`);
+        }
+        if (tenant.host === null) {
+            fallback = tenant;
+        } else if (hosts.has(tenant.host)) {
+            problems.push(`tenant "${name}" is listed more than once`);
+        } else {
+            hosts.set(tenant.host, tenant);
+        }
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return {
+        tenants: Array.from(hosts.values()).concat([fallback]),
+        resolve: (hostname) => hosts.get(`${hostname || ''}`.toLowerCase()) || fallback,
+    };
+}
+
+module.exports = { loadTenants, getThemeStylesheet };
+
+//#endregion
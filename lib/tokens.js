@@ -0,0 +1,85 @@
+/////////////////////////////////
+//#region API TOKENS
+/////////////////////////////////
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Tokens are only shown once, when created; the token file keeps a SHA-256 hash of each
+// {
+//   "tokens": [
+//     { "id": "...", "label": "...", "hash": "...", "limit": null, "created": "...", "revoked": null }
+//   ]
+// }
+
+// Hash a token for storage and lookup
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Read every token record from the token file
+function readTokens(tokenFile) {
+    if (!fs.existsSync(tokenFile)) {
+        return [];
+    }
+    return JSON.parse(fs.readFileSync(tokenFile, 'utf8')).tokens;
+}
+
+// Write every token record to the token file, readable only by its owner
+function writeTokens(tokenFile, tokens) {
+    fs.mkdirSync(path.dirname(tokenFile), { recursive: true });
+    fs.writeFileSync(tokenFile, JSON.stringify({ tokens: tokens }, null, 2), { mode: 0o600 });
+}
+
+// Create a token with a label and an optional request limit, returning the token and its record
+function createToken(tokenFile, label, limit = null) {
+    let tokens = readTokens(tokenFile);
+    let token = `nl_${crypto.randomBytes(32).toString('base64url')}`;
+    let record = {
+        id: crypto.randomBytes(6).toString('hex'),
+        label: label,
+        hash: hashToken(token),
+        limit: limit,
+        created: new Date().toISOString(),
+        revoked: null,
+    };
+    tokens.push(record);
+    writeTokens(tokenFile, tokens);
+    return { token: token, record: record };
+}
+
+// Revoke a token by its ID, returning its record or false if it wasn't found
+function revokeToken(tokenFile, id) {
+    let tokens = readTokens(tokenFile);
+    let record = tokens.find((token) => token.id === id);
+    if (!record) {
+        return false;
+    }
+    if (!record.revoked) {
+        record.revoked = new Date().toISOString();
+        writeTokens(tokenFile, tokens);
+    }
+    return record;
+}
+
+// Create a lookup for unrevoked tokens, re-reading the token file whenever it changes
+function createTokenVerifier(tokenFile) {
+    let cache = { mtime: null, tokens: new Map() };
+    return (token) => {
+        let mtime = fs.existsSync(tokenFile) ? fs.statSync(tokenFile).mtimeMs : 0;
+        if (mtime !== cache.mtime) {
+            cache.mtime = mtime;
+            cache.tokens = new Map(readTokens(tokenFile).map((record) => [record.hash, record]));
+        }
+        let record = cache.tokens.get(hashToken(`${token}`));
+        if (record && !record.revoked) {
+            return record;
+        }
+        return false;
+    };
+}
+
+module.exports = { createToken, revokeToken, readTokens, createTokenVerifier, hashToken };
+
+//#endregion
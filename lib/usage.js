@@ -0,0 +1,63 @@
+/////////////////////////////////
+//#region USAGE TRACKER
+/////////////////////////////////
+
+// Counts rate limit blocks (per subnet) and API token usage since notelock started, kept in memory for the admin API
+// Never holds anything about a note's contents, only who was blocked or created notes and how much they uploaded
+function createUsageTracker({ maxClients = 1000 } = {}) {
+    let started = new Date().toISOString();
+    let blocks = new Map(); // subnet -> { subnet, reasons: { reason: count }, total, last }
+    let tokens = new Map(); // token id -> { notes, bytes, blocked, last }
+
+    // Count a blocked request from a client's subnet (the rate limit key), forgetting the oldest subnet when full
+    function recordBlock(subnet, reason) {
+        let client = blocks.get(subnet);
+        if (!client) {
+            if (blocks.size >= maxClients) {
+                blocks.delete(blocks.keys().next().value);
+            }
+            client = { subnet: subnet, reasons: {}, total: 0, last: null };
+            blocks.set(subnet, client);
+        }
+        client.reasons[reason] = (client.reasons[reason] || 0) + 1;
+        client.total++;
+        client.last = new Date().toISOString();
+    }
+
+    // Get a token's usage, starting it at zero
+    function getToken(tokenId) {
+        if (!tokens.has(tokenId)) {
+            tokens.set(tokenId, { notes: 0, bytes: 0, blocked: 0, last: null });
+        }
+        return tokens.get(tokenId);
+    }
+
+    // Count a note (or drop box) created with a token, and the bytes it uploaded
+    function recordToken(tokenId, bytes) {
+        let usage = getToken(tokenId);
+        usage.notes++;
+        usage.bytes += bytes;
+        usage.last = new Date().toISOString();
+    }
+
+    // Count a request from a token that was blocked for going over its limit
+    function recordTokenBlock(tokenId) {
+        getToken(tokenId).blocked++;
+    }
+
+    // Get everything counted so far, as { since, blocks, tokens }, with the most blocked subnets first
+    function snapshot() {
+        return {
+            since: started,
+            blocks: Array.from(blocks.values(), (client) => Object.assign({}, client, { reasons: Object.assign({}, client.reasons) }))
+                .sort((a, b) => b.total - a.total),
+            tokens: Object.fromEntries(Array.from(tokens, ([id, usage]) => [id, Object.assign({}, usage)])),
+        };
+    }
+
+    return { recordBlock, recordToken, recordTokenBlock, snapshot };
+}
+
+module.exports = { createUsageTracker };
+
+//#endregion
@@ -0,0 +1,68 @@
+/////////////////////////////////
+//#region READ WEBHOOKS
+/////////////////////////////////
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { isPrivateAddress } = require('./cidr');
+
+// Create a webhook sender, which tells senders their note was read
+//   log       - Logger (see lib/logger.js) for each receipt sent or refused
+//   lookup    - Resolves a host like dns.lookup, which it defaults to
+//   isRefused - Checks if an address must never be contacted, defaulting to every one that isn't on the public internet
+//               (see lib/cidr.js), so senders can't have notelock send requests into its own network
+//   timeout   - How long to wait on a webhook (in milliseconds)
+function createWebhookSender({ log, lookup = dns.lookup, isRefused = isPrivateAddress, timeout = 10 * 1000 }) {
+    // Resolve a webhook's host as notelock connects to it, refusing it if any of its addresses are
+    // (checked on every connection, so a name can't resolve to a public address when checked and a private one when used)
+    function lookupHost(hostname, options, callback) {
+        lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (!err && addresses.some((entry) => isRefused(entry.address))) {
+                err = new Error(`${hostname} resolves to a private address`);
+            }
+            if (err) {
+                return callback(err);
+            }
+            if (options.all) {
+                return callback(null, addresses);
+            }
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    // Tell the sender's webhook that their note was read, without sending anything secret
+    // Redirects aren't followed, and resolves to whether the webhook answered (callers needn't wait on it)
+    function send(webhook, noteId, readAt, views) {
+        return new Promise((resolve) => {
+            let url = new URL(webhook);
+            let refuse = (err) => {
+                log.warn('WEBHOOK', 'Could not send read receipt for {id} - {error}', { id: noteId, error: err.message });
+                resolve(false);
+            };
+            if (isRefused(url.hostname.replace(/^\[|\]$/g, ''))) {
+                return refuse(new Error(`${url.hostname} is a private address`));
+            }
+            let body = JSON.stringify({ event: 'read', id: noteId, at: readAt, views: views });
+            let request = (url.protocol === 'https:' ? https : http).request(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+                lookup: lookupHost,
+                timeout: timeout
+            }, (res) => {
+                res.resume();
+                log.info('WEBHOOK', 'Sent read receipt for {id} with status {status}', { id: noteId, status: res.statusCode });
+                resolve(true);
+            });
+            request.on('timeout', () => request.destroy(new Error('timed out')));
+            request.on('error', refuse);
+            request.end(body);
+        });
+    }
+
+    return { send };
+}
+
+module.exports = { createWebhookSender };
+
+//#endregion
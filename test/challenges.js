@@ -0,0 +1,76 @@
+/////////////////////////////////
+//#region PROOF OF WORK
+/////////////////////////////////
+
+// Check proof-of-work challenges (lib/challenge.js) solved by solveChallenge in lib/crypto.js are accepted once, from
+// the client they were issued to before they expire, and forged, expired and replayed ones are refused
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createChallenger } = require('../lib/challenge');
+const { createMemoryLimitStore } = require('../lib/limits/memory');
+const { solveChallenge } = require('../lib/crypto');
+
+const secret = crypto.randomBytes(32);
+const difficulty = 8;
+
+function createTestChallenger(life = 60 * 1000, key = secret) {
+    return createChallenger({ secret: key, life: life, store: createMemoryLimitStore('challenge:') });
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Find a nonce that doesn't solve a challenge
+function getWrongSolution(challenge) {
+    for (let nonce = 0; ; nonce++) {
+        let hash = crypto.createHash('sha256').update(`${challenge}.${nonce}`).digest();
+        if (hash[0] !== 0) {
+            return `${challenge}.${nonce}`;
+        }
+    }
+}
+
+test('accepts a solved challenge once', async () => {
+    let challenger = createTestChallenger();
+    let issued = challenger.issue('client', difficulty);
+    assert.strictEqual(issued.difficulty, difficulty);
+    let solution = await solveChallenge(issued.challenge);
+    assert.strictEqual(await challenger.verify('client', solution), false);
+    assert.strictEqual(await challenger.verify('client', solution), 'the proof-of-work challenge has already been used');
+});
+
+test('refuses a wrong answer without using up the challenge', async () => {
+    let challenger = createTestChallenger();
+    let { challenge } = challenger.issue('client', difficulty);
+    assert.strictEqual(await challenger.verify('client', getWrongSolution(challenge)), 'the proof-of-work challenge was not solved');
+    assert.strictEqual(await challenger.verify('client', await solveChallenge(challenge)), false);
+});
+
+test('refuses forged challenges', async () => {
+    let challenger = createTestChallenger();
+    let { challenge } = challenger.issue('client', difficulty);
+    let [random, , expires, signature] = challenge.split('.');
+    let forged = {
+        'another client': [await solveChallenge(challenge), 'another client'],
+        'an easier difficulty': [await solveChallenge(`${random}.1.${expires}.${signature}`), 'client'],
+        'a later expiry': [await solveChallenge(`${random}.${difficulty}.${Number(expires) + 60 * 1000}.${signature}`), 'client'],
+        'another secret': [await solveChallenge(createTestChallenger(60 * 1000, crypto.randomBytes(32)).issue('client', difficulty).challenge), 'client'],
+    };
+    for (let [name, [solution, client]] of Object.entries(forged)) {
+        assert.strictEqual(await challenger.verify(client, solution), 'the proof-of-work challenge was not issued to this client', name);
+    }
+    assert.strictEqual(await challenger.verify('client', 'not a challenge'), 'a solved proof-of-work challenge is required');
+});
+
+test('refuses an expired challenge', async () => {
+    let challenger = createTestChallenger(50);
+    let solution = await solveChallenge(challenger.issue('client', difficulty).challenge);
+    await sleep(100);
+    assert.strictEqual(await challenger.verify('client', solution), 'the proof-of-work challenge has expired');
+});
+
+//#endregion
@@ -0,0 +1,33 @@
+/////////////////////////////////
+//#region ENVELOPE TEST VECTORS
+/////////////////////////////////
+
+// Check lib/crypto.js against the test vectors shared by every client (see docs/envelope.md)
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { decryptNote } = require('../lib/crypto');
+const vectors = require('../docs/envelope-vectors.json');
+
+// Every valid vector decrypts to its message and files, with its metadata and format
+for (const vector of vectors.valid) {
+    test(`decrypts ${vector.name}`, async () => {
+        let note = await decryptNote(vector.cipher, vector.key, vector.passphrase, vector.attachments, vector.context);
+        assert.strictEqual(Buffer.from(note.message).toString('utf8'), vector.message);
+        assert.strictEqual(note.format, vector.format || 'plain');
+        if (vector.meta !== undefined) {
+            assert.deepStrictEqual(note.meta, vector.meta);
+        }
+        assert.deepStrictEqual(note.files.map((file) => ({ name: file.name, type: file.type, data: Buffer.from(file.data).toString('base64') })), vector.files);
+    });
+}
+
+// Every invalid vector fails to decrypt
+for (const vector of vectors.invalid) {
+    test(`refuses ${vector.name}`, async () => {
+        await assert.rejects(decryptNote(vector.cipher, vector.key, vector.passphrase, vector.attachments, vector.context));
+    });
+}
+
+//#endregion
@@ -0,0 +1,64 @@
+/////////////////////////////////
+//#region NOTELOCK TEST SERVER
+/////////////////////////////////
+
+// Runs notelock (app.js) for tests that need the whole server, in reverse proxy mode on a free port, with its data
+// in a temporary directory
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+
+// Find a port nothing is listening on
+function freePort() {
+    return new Promise((resolve, reject) => {
+        let server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            let port = server.address().port;
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Start notelock with settings (see lib/config.js) for test t, which stops it and deletes its data when it ends
+// Resolves once it logs ready, with { url, dir, stop(), output() }, where stop resolves to its exit code
+// Requests to url must say the proxy received them over HTTPS (X-Forwarded-Proto: https)
+async function startNotelock(t, settings = {}, ready = 'Notelock started successfully') {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notelock-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    let port = await freePort();
+    let config = path.join(dir, 'notelock.json');
+    fs.writeFileSync(config, JSON.stringify({ proxyMode: true, httpPort: port, dbPath: path.join(dir, 'notelock.db'), tokenFile: path.join(dir, 'tokens.json'), ...settings }));
+
+    let child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'app.js')], { cwd: dir, env: { ...process.env, NOTELOCK_CONFIG: config } });
+    let exited = new Promise((resolve) => child.on('exit', resolve));
+    t.after(() => child.kill());
+    let output = '';
+    await new Promise((resolve, reject) => {
+        child.stderr.on('data', (data) => output += data);
+        child.stdout.on('data', (data) => {
+            output += data;
+            if (output.includes(ready)) {
+                resolve();
+            }
+        });
+        child.on('exit', () => reject(new Error(`notelock stopped before it was ready:\n${output}`)));
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        dir: dir,
+        stop: () => {
+            child.kill('SIGTERM');
+            return exited;
+        },
+        output: () => output,
+    };
+}
+
+module.exports = { startNotelock };
+
+//#endregion
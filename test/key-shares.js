@@ -0,0 +1,50 @@
+/////////////////////////////////
+//#region KEY SHARES
+/////////////////////////////////
+
+// Check a note's key split into shares (splitKey in lib/crypto.js) comes back from any threshold of them, and never
+// from fewer
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateRandomArrayBuffer, convertBytestoB64Url, splitKey, combineKeyShares } = require('../lib/crypto');
+
+// Every way of choosing size of the items
+function choose(items, size) {
+    if (size === 0) {
+        return [[]];
+    }
+    return items.flatMap((item, i) => choose(items.slice(i + 1), size - 1).map((rest) => [item, ...rest]));
+}
+
+for (const [threshold, count] of [[2, 2], [2, 3], [3, 5]]) {
+    test(`rebuilds a key from any ${threshold} of its ${count} shares, in any order`, () => {
+        let key = convertBytestoB64Url(generateRandomArrayBuffer(32));
+        let shares = splitKey(key, threshold, count);
+        assert.strictEqual(shares.length, count);
+        for (let chosen of choose(shares, threshold)) {
+            assert.strictEqual(combineKeyShares(chosen), key);
+            assert.strictEqual(combineKeyShares(chosen.reverse()), key);
+        }
+        assert.strictEqual(combineKeyShares(shares), key);
+    });
+
+    test(`refuses fewer than ${threshold} of ${count} shares`, () => {
+        let shares = splitKey(convertBytestoB64Url(generateRandomArrayBuffer(32)), threshold, count);
+        for (let chosen of choose(shares, threshold - 1)) {
+            assert.throws(() => combineKeyShares(chosen), /key shares are needed/);
+            // Giving the same share twice doesn't count twice
+            assert.throws(() => combineKeyShares([...chosen, chosen[0]]), /key shares are needed/);
+        }
+    });
+}
+
+test('refuses shares of different splits', () => {
+    let key = convertBytestoB64Url(generateRandomArrayBuffer(32));
+    let [first] = splitKey(key, 2, 3);
+    let [, second] = splitKey(key, 3, 3);
+    assert.throws(() => combineKeyShares([first, second]), /do not belong together/);
+});
+
+//#endregion
@@ -0,0 +1,48 @@
+/////////////////////////////////
+//#region STORAGE QUOTAS
+/////////////////////////////////
+
+// Check notelock refuses notes past its storage quotas (storageMaxSize and subnetMaxNotes), through the JSON API
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startNotelock } = require('./helpers/notelock');
+
+// A legacy ciphertext (a Base64 IV and ciphertext) of length characters, the smallest note the server takes
+// without reserving its ID first
+function legacyCipher(length) {
+    return 'A'.repeat(length);
+}
+
+// Call the API as a client of the proxy in front of notelock
+async function callApi(notelock, method, path, body) {
+    let response = await fetch(`${notelock.url}/api/v1${path}`, {
+        method: method,
+        headers: { 'Content-Type': 'application/json', 'X-Forwarded-Proto': 'https' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('refuses notes past the unread notes and storage quotas', { timeout: 30 * 1000 }, async (t) => {
+    // 104 bytes of storage, and one unread note per network
+    let notelock = await startNotelock(t, { subnetMaxNotes: 1, storageMaxSize: 0.0001 });
+
+    let first = await callApi(notelock, 'POST', '/notes', { cipher: legacyCipher(40) });
+    assert.strictEqual(first.status, 201);
+    let second = await callApi(notelock, 'POST', '/notes', { cipher: legacyCipher(40) });
+    assert.strictEqual(second.status, 429);
+    assert.strictEqual(second.body.error.code, 'quota_exceeded');
+
+    // Reading the note frees its place
+    assert.strictEqual((await callApi(notelock, 'POST', `/notes/${first.body.id}/read`)).status, 200);
+    assert.strictEqual((await callApi(notelock, 'POST', '/notes', { cipher: legacyCipher(40) })).status, 201);
+
+    // 40 bytes are stored, so 80 more don't fit
+    let full = await callApi(notelock, 'POST', '/notes', { cipher: legacyCipher(80) });
+    assert.strictEqual(full.status, 507);
+    assert.strictEqual(full.body.error.code, 'storage_full');
+});
+
+//#endregion
@@ -0,0 +1,92 @@
+/////////////////////////////////
+//#region STORAGE DRIVERS
+/////////////////////////////////
+
+// Check the storage drivers (lib/storage) agree on taking notes and sharing the expired rows check, with SQLite in
+// memory and Redis played by ioredis-mock, then check a stopping notelock gives its lease up
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const RedisMock = require('ioredis-mock');
+const Database = require('better-sqlite3');
+const { createStore } = require('../lib/storage');
+const { createRedisStore } = require('../lib/storage/redis');
+const { startNotelock } = require('./helpers/notelock');
+
+const drivers = {
+    sqlite: () => createStore('memory', { log: () => {} }),
+    redis: () => createRedisStore(new RedisMock(), () => {}),
+};
+
+// An ISO8601 timestamp ms from now
+function later(ms) {
+    return new Date(Date.now() + ms).toISOString();
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Store a note with a status hash (so it leaves a tombstone) that can be read views times
+async function addNote(store, views) {
+    let uuid = nanoid();
+    await store.addData({ uuid: uuid, note: 'ciphertext', attachments: null, created: later(0), expires: later(60 * 1000), views: views, revoke: null, status: nanoid(), webhook: null, box: null, owner: null });
+    return uuid;
+}
+
+for (const [name, createDriver] of Object.entries(drivers)) {
+    test(`${name}: a note with one view can only be taken once, even by readers racing for it`, async (t) => {
+        const store = createDriver();
+        t.after(() => store.close());
+        let uuid = await addNote(store, 1);
+        let taken = await Promise.all([store.takeData(uuid, later(0), later(1000)), store.takeData(uuid, later(0), later(1000))]);
+        assert.strictEqual(taken.filter((note) => note).length, 1);
+        assert.strictEqual(taken.find((note) => note).note, 'ciphertext');
+        assert.strictEqual(await store.takeData(uuid, later(0), later(1000)), false);
+        assert.strictEqual(await store.findData(uuid, later(0)), false);
+        assert.strictEqual((await store.findTombstone(uuid, later(0))).state, 'read');
+    });
+
+    test(`${name}: a note is taken once per view`, async (t) => {
+        const store = createDriver();
+        t.after(() => store.close());
+        let uuid = await addNote(store, 2);
+        assert.strictEqual((await store.takeData(uuid, later(0), later(1000))).views, 1);
+        assert.strictEqual((await store.takeData(uuid, later(0), later(1000))).views, 0);
+        assert.strictEqual(await store.takeData(uuid, later(0), later(1000)), false);
+    });
+
+    test(`${name}: only one notelock holds a lease, until it hands it over or lets it run out`, async (t) => {
+        const store = createDriver();
+        t.after(() => store.close());
+        let worker = nanoid();
+        assert.strictEqual(await store.claimWorker(worker, 'first', later(0), later(200)), true);
+        assert.strictEqual(await store.claimWorker(worker, 'second', later(0), later(200)), false);
+        // The holder keeps it, and another notelock giving it up changes nothing
+        assert.strictEqual(await store.claimWorker(worker, 'first', later(0), later(200)), true);
+        await store.releaseWorker(worker, 'second');
+        assert.strictEqual(await store.claimWorker(worker, 'second', later(0), later(200)), false);
+        // Handed over when the holder gives it up
+        await store.releaseWorker(worker, 'first');
+        assert.strictEqual(await store.claimWorker(worker, 'second', later(0), later(200)), true);
+        assert.strictEqual(await store.claimWorker(worker, 'first', later(0), later(200)), false);
+        // Taken over once it runs out
+        await sleep(300);
+        assert.strictEqual(await store.claimWorker(worker, 'first', later(0), later(200)), true);
+    });
+}
+
+test('a notelock gives up the expired rows check when it stops', { timeout: 30 * 1000 }, async (t) => {
+    let notelock = await startNotelock(t, { dbDriver: 'sqlite' }, 'This notelock is now checking for expired rows');
+    let db = new Database(path.join(notelock.dir, 'notelock.db'), { readonly: true });
+    t.after(() => db.close());
+    let leases = db.prepare('SELECT holder FROM notelock_workers WHERE name = ?');
+    assert.strictEqual(leases.all('expiry').length, 1);
+    assert.strictEqual(await notelock.stop(), 0);
+    assert.deepStrictEqual(leases.all('expiry'), []);
+});
+
+//#endregion
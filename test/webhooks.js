@@ -0,0 +1,90 @@
+/////////////////////////////////
+//#region READ WEBHOOKS
+/////////////////////////////////
+
+// Check read receipts (lib/webhooks.js) reach a webhook, but never one at a private address, whether it's given as
+// an IP address or a name that resolves to one
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createLogger } = require('../lib/logger');
+const { createWebhookSender } = require('../lib/webhooks');
+
+const log = createLogger({ level: 'error' });
+
+// A logger keeping why each receipt wasn't sent, to tell a refused webhook from one that couldn't be reached
+function createRefusalLog() {
+    let errors = [];
+    return { errors: errors, info: () => {}, warn: (tag, message, fields) => errors.push(fields.error) };
+}
+
+// Resolve a few made up names to addresses that include a private one
+const names = {
+    'intranet.example': [{ address: '10.1.2.3', family: 4 }],
+    'metadata.example': [{ address: '169.254.169.254', family: 4 }],
+    'router.example': [{ address: '93.184.215.14', family: 4 }, { address: 'fe80::1', family: 6 }],
+};
+function lookup(hostname, options, callback) {
+    callback(null, names[hostname]);
+}
+
+// Listen for receipts on a local port, which only a sender refusing nothing may send to
+async function createStandIn(t) {
+    let received = [];
+    let server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            received.push({ method: req.method, type: req.headers['content-type'], body: JSON.parse(body) });
+            res.end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, port: server.address().port, received: received };
+}
+
+test('sends a read receipt to a webhook it may contact', async (t) => {
+    let standIn = await createStandIn(t);
+    let sender = createWebhookSender({ log: log, isRefused: () => false });
+    assert.strictEqual(await sender.send(standIn.url, 'note-id', '2026-01-01T00:00:00.000Z', 0), true);
+    assert.deepStrictEqual(standIn.received, [{ method: 'POST', type: 'application/json', body: { event: 'read', id: 'note-id', at: '2026-01-01T00:00:00.000Z', views: 0 } }]);
+});
+
+test('sends nothing to a webhook that fails', async () => {
+    let sender = createWebhookSender({ log: log, isRefused: () => false, timeout: 1000 });
+    assert.strictEqual(await sender.send('http://127.0.0.1:1/hook', 'note-id', '2026-01-01T00:00:00.000Z', 0), false);
+});
+
+for (const host of ['127.0.0.1', '[::1]', '10.0.0.1', '172.16.5.4', '192.168.1.1', '169.254.169.254', '[fe80::1]', '[fd00::1]', '[::ffff:127.0.0.1]', '[::7f00:1]', '[2002:7f00:1::]']) {
+    test(`refuses a webhook at ${host}`, async (t) => {
+        let standIn = await createStandIn(t);
+        let refusals = createRefusalLog();
+        let sender = createWebhookSender({ log: refusals });
+        assert.strictEqual(await sender.send(`http://${host}:${standIn.port}/hook`, 'note-id', '2026-01-01T00:00:00.000Z', 0), false);
+        assert.match(refusals.errors[0], /is a private address$/);
+        assert.deepStrictEqual(standIn.received, []);
+    });
+}
+
+test('refuses a webhook at a name that resolves to a loopback address', async (t) => {
+    let standIn = await createStandIn(t);
+    let refusals = createRefusalLog();
+    let sender = createWebhookSender({ log: refusals });
+    assert.strictEqual(await sender.send(`http://localhost:${standIn.port}/hook`, 'note-id', '2026-01-01T00:00:00.000Z', 0), false);
+    assert.deepStrictEqual(refusals.errors, ['localhost resolves to a private address']);
+    assert.deepStrictEqual(standIn.received, []);
+});
+
+for (const host of Object.keys(names)) {
+    test(`refuses a webhook at a name that resolves to ${names[host].map((entry) => entry.address).join(' and ')}`, async () => {
+        let refusals = createRefusalLog();
+        let sender = createWebhookSender({ log: refusals, lookup: lookup });
+        assert.strictEqual(await sender.send(`http://${host}/hook`, 'note-id', '2026-01-01T00:00:00.000Z', 0), false);
+        assert.deepStrictEqual(refusals.errors, [`${host} resolves to a private address`]);
+    });
+}
+
+//#endregion
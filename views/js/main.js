@@ -1,165 +1,286 @@
 (() => {
   /////////////////////////////////
-  //#region CONVERSION FUNCS
+  //#region NOTELOCK CRYPTO
   /////////////////////////////////
 
   /*
-  Convert a Base64 string to an ArrayBuffer
+  The note format and AES-GCM functions live in /js/crypto.js (lib/crypto.js), shared with the Node client
   */
-  function convertB64toArrayBuffer(base64String) {
-    let binaryString = atob(base64String);
-    let bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
-    let encryptedBuffer = bytes.buffer;
-    return encryptedBuffer;
+  const { isPassphraseMessage, isBoxMessage, getLinkKey, getLinkBoxKey, generateBoxKeys, encryptNote, encryptBoxNote, decryptNote, checkNoteMeta, splitKey, parseKeyShare, combineKeyShares, getLinkShare } = window.notelockCrypto;
+
+  /*
+  Markdown messages are rendered by /js/markdown.js, without ever parsing them as HTML
+  */
+  const { renderMarkdown } = window.notelockMarkdown;
+
+  //#endregion
+
+  //-----------------------
+
+  /////////////////////////////////
+  //#region FETCH FUNCS
+  /////////////////////////////////
+
+  /*
+  Fetch the contents of an HTML element and encode
+  */
+  function getMessageEncoding(element) {
+    let messageBox = document.querySelector(element);
+    let message = messageBox.value;
+    let enc = new TextEncoder();
+    return enc.encode(message);
   }
 
   /*
-  Convert an ArrayBuffer to a Base64 string
+  Convert an object of key/value pairs to an URL-encoded form body
   */
-  function convertArrayBuffertoB64(encryptedBuffer) {
-    let bytes = new Uint8Array(encryptedBuffer);
-    let binary = '';
-    for (let i = 0; i < bytes.byteLength; i++) {
-      binary += String.fromCharCode(bytes[i]);
+  function getFormBody(details) {
+    let formBody = [];
+    for (var property in details) {
+      var encodedKey = encodeURIComponent(property);
+      var encodedValue = encodeURIComponent(details[property]);
+      formBody.push(encodedKey + "=" + encodedValue);
     }
-    let base64String =  window.btoa(binary);
-    return base64String;
+    return formBody.join("&");
   }
 
   /*
-  Convert a Base64 string to an URL-Safe equivalent
+  Fetch a proof-of-work challenge and solve it, for encryption requests the server refused (428) until one is solved
+  The work is done by a Web Worker running /js/crypto.js, so the page doesn't freeze
+  Returns the solution, to send as 'pow' when trying again
   */
-  function base64URLencode(base64String) {
-    return base64String.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  async function solveServerChallenge() {
+    let response = await fetch('/challenge', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8'
+      },
+      body: ''
+    });
+    if (!response.ok) {
+      throw new Error(`Response status: ${response.status}`);
+    }
+    let data = await response.json();
+    return new Promise((resolve, reject) => {
+      let worker = new Worker('/js/crypto.js');
+      worker.addEventListener('message', (event) => {
+        worker.terminate();
+        if (event.data.error) {
+          reject(new Error(event.data.error));
+        } else {
+          resolve(event.data.solution);
+        }
+      });
+      worker.addEventListener('error', (event) => {
+        worker.terminate();
+        reject(new Error(event.message));
+      });
+      worker.postMessage(data.challenge);
+    });
   }
 
   /*
-  Convert an URL-Safe Base64 string to its original form
+  Reserve a note ID, so the message can be bound to it before it is encrypted
+  Solves a proof-of-work challenge and tries again if the server asks for one
+  Returns { id, expires }, or the server's { id: 'ERROR', ... } response
   */
-  function base64URLdecode(urlSafeString) {
-    let base64Encoded = urlSafeString.replace(/-/g, '+').replace(/_/g, '/');
-    let padding = urlSafeString.length % 4 === 0 ? '' : '='.repeat(4 - (urlSafeString.length % 4));
-    let base64String = base64Encoded + padding;
-  
-    return base64String;
+  async function reserveNoteId(pow = '') {
+    let response = await fetch('/reserve', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8'
+      },
+      body: getFormBody(pow === '' ? {} : { 'pow': pow })
+    });
+    if (response.status === 428 && pow === '') {
+      return reserveNoteId(await solveServerChallenge());
+    }
+    if (!response.ok && ![428, 429, 507].includes(response.status)) {
+      throw new Error(`Response status: ${response.status}`);
+    }
+    let data = await response.json();
+    return data;
   }
 
-  //#endregion
-
-  //-----------------------
-
-  /////////////////////////////////
-  //#region AES-GCM FUNCS
-  /////////////////////////////////
-
   /*
-  Generate an AES-GCM key (256-bit)
+  Open a drop box for a requested secret, with the chosen lifetime (if any)
+  Solves a proof-of-work challenge and tries again if the server asks for one
+  Returns { upload, open, expires }, or the server's { id: 'ERROR', ... } response
   */
-  async function generateAesGcmKey(){
-    let aesGcmKey = await window.crypto.subtle.generateKey(
-      {
-          name: "AES-GCM",
-          length: 256,
+  async function openRequest(expire, pow = '') {
+    let details = expire === null ? {} : { 'expire': expire };
+    if (pow !== '') {
+      details['pow'] = pow;
+    }
+    let response = await fetch('/request', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8'
       },
-      true, // Must be 'true' to allow export
-      ["encrypt", "decrypt"]
-    );
-    return aesGcmKey;
-  };
+      body: getFormBody(details)
+    });
+    if (response.status === 428 && pow === '') {
+      return openRequest(expire, await solveServerChallenge());
+    }
+    if (!response.ok && ![400, 401, 428, 429, 507].includes(response.status)) {
+      throw new Error(`Response status: ${response.status}`);
+    }
+    let data = await response.json();
+    return data;
+  }
 
   /*
-  Export an AES-GCM key and convert the ArrayBuffer to a Base64 string
+  Send an encrypted secret into a drop box
+  Returns { sent }, with a message if the server turned it away, or the server's { id: 'ERROR', ... } response
   */
-  async function exportAesGcmKeyToBase64(key) {
-    let exportedKeyBuffer = await window.crypto.subtle.exportKey(
-      "raw", // Use "raw" format for symmetric keys
-      key
-    );
-    let base64String = convertArrayBuffertoB64(exportedKeyBuffer);
-    return base64String;
+  async function dropSecret(details) {
+    let response = await fetch('/drop', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8'
+      },
+      body: getFormBody(details)
+    });
+    let data = await response.json();
+    return data;
   }
 
   /*
-  Import a Base64 string as an AES-GCM key
+  Request the ciphertext of a note from the server, purging it from the server
+  Returns { cipher, attachments, views }, or the server's { id: 'ERROR', ... } response if too many notes were looked up
   */
-  async function importBase64ToAesGcmKey(base64Key) {
-    let importedKey = await window.crypto.subtle.importKey(
-      "raw",
-      Uint8Array.from(window.atob(base64Key), c => c.charCodeAt(0)),
-      { name: "AES-GCM" },
-      true,
-      ["encrypt", "decrypt"]
-    );
-    return importedKey;
+  async function fetchMessage(noteId) {
+    let response = await fetch('/decrypt', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8'
+      },
+      body: getFormBody({ 'n': noteId })
+    });
+    if (!response.ok && response.status !== 429) {
+      return { cipher: '', views: 0, attachments: [] };
+    }
+    let data = await response.json();
+    return data;
   }
 
   /*
-  Generate a randomized ArrayBuffer, specifying length
+  Ask the server to destroy a note, using the sender's revoke token
   */
-  function generateRandomArrayBuffer(length) {
-    let randomArrayBuffer = crypto.getRandomValues(new Uint8Array(length));
-    return randomArrayBuffer;
+  async function revokeMessage(noteId, revokeToken) {
+    let response = await fetch('/revoke', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8'
+      },
+      body: getFormBody({ 'n': noteId, 'token': revokeToken })
+    });
+    return response.ok;
   }
 
-  //#endregion
-
-  //-----------------------
+  /*
+  Ask the server whether a note has been read, using the sender's status token
+  */
+  async function fetchStatus(noteId, statusToken) {
+    let response = await fetch('/status', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8'
+      },
+      body: getFormBody({ 'n': noteId, 'token': statusToken })
+    });
+    if (!response.ok) {
+      return { state: '' };
+    }
+    let data = await response.json();
+    return data;
+  }
 
-  /////////////////////////////////
-  //#region FETCH FUNCS
-  /////////////////////////////////
+  /*
+  Call the admin API with the admin token
+  Returns { status, data }, where data is the parsed response (or null if it had none)
+  */
+  async function adminRequest(method, path, adminToken) {
+    let response = await fetch(`/api/v1/admin${path}`, {
+      method: method,
+      headers: {
+        'Authorization': `Bearer ${adminToken}`
+      }
+    });
+    let data = response.status === 204 ? null : await response.json();
+    return { status: response.status, data: data };
+  }
 
   /*
-  Fetch the contents of an HTML element and encode
+  Read the files chosen on the encryption page, checking them against the server's limits
+  Returns a list of { name, type, data } or throws with a reason to show the sender
   */
-  function getMessageEncoding(element) {
-    let messageBox = document.querySelector(element);
-    let message = messageBox.value;
-    let enc = new TextEncoder();
-    return enc.encode(message);
+  async function getAttachedFiles(element) {
+    let input = document.querySelector(element);
+    if (!input || !input.files || input.files.length === 0) {
+      return [];
+    }
+    let files = Array.from(input.files);
+    let maxFiles = Number(input.dataset.maxFiles);
+    let maxSize = Number(input.dataset.maxSize);
+    if (files.length > maxFiles) {
+      throw new Error(`no more than ${maxFiles} file(s) can be attached`);
+    }
+    if (files.reduce((total, file) => total + file.size, 0) > maxSize) {
+      throw new Error(`files can not be larger than ${maxSize / 1024 / 1024} MB in total`);
+    }
+    let attached = [];
+    for (let file of files) {
+      attached.push({ name: file.name, type: file.type, data: await file.arrayBuffer() });
+    }
+    return attached;
   }
 
   /*
-  Fetch the concatenated contents of the "Ciphertext" textbox and separate out the
-  specified value, then encode to a workable ArrayBuffer
+  Describe a note's status for the sender
   */
-  function getConcatMessageEncoding(iv = false) {
-    let message = document.head.querySelector("[property~=cipher][content]").content;
-    let b64String = '';
-    let encryptedBuffer = '';
-    if (iv) {
-      // Grab the IV portion of the string
-      b64String = message.substring(0,16);
-    } else {
-      // Grab the CipherText portion of the string
-      b64String = message.substring(16, message.length);
+  function describeStatus(status) {
+    let at = status.at ? new Date(status.at).toLocaleString() : '';
+    switch (status.state) {
+      case 'pending':
+        return `this message has not been read yet. ${status.views} view(s) remaining.`;
+      case 'read':
+        return `this message was read at ${at}.` + (status.views > 0 ? ` ${status.views} view(s) remaining.` : '');
+      case 'expired':
+        return `this message expired unread at ${at}.`;
+      case 'revoked':
+        return `this message was revoked unread at ${at}.`;
+      default:
+        return "error: no status found. the link may be incorrect, or the status is no longer kept.";
     }
-    encryptedBuffer = convertB64toArrayBuffer(b64String);
-    return encryptedBuffer;
   }
 
   /*
   Copy textarea contents to clipboard
   */
   async function copyToClipboard(textArea) {
-    const copiedText = document.querySelector(".copied-text");
+    const copiedText = textArea.parentElement.querySelector(".copied-text");
     if (textArea.value != '') {
-      try {
-        // Write value to Clipboard
-        await navigator.clipboard.writeText(textArea.value);     
-      } catch (err) {
-        console.error('Failed to copy text: ', err);
-      };
-      // Update HTML
-      copiedText.classList.add('fade-in');
-      copiedText.addEventListener('animationend', () => {
-        copiedText.classList.add('opaque');
-        copiedText.classList.remove('fade-in');
-      }, { once: true });
+      await copyText(textArea.value, copiedText);
+    };
+  };
+
+  /*
+  Copy text to clipboard, and fade in the "copied" text next to what was copied
+  */
+  async function copyText(text, copiedText) {
+    try {
+      // Write value to Clipboard
+      await navigator.clipboard.writeText(text);
+    } catch (err) {
+      console.error('Failed to copy text: ', err);
     };
+    // Update HTML
+    copiedText.classList.add('fade-in');
+    copiedText.addEventListener('animationend', () => {
+      copiedText.classList.add('opaque');
+      copiedText.classList.remove('fade-in');
+    }, { once: true });
   };
 
   //#endregion
@@ -177,39 +298,53 @@
     // Show the loader
     const loadAnim = document.querySelector(".loader");
     loadAnim.style.visibility = "visible"
-    // Fetch message
+    // Fetch message, optional passphrase, files and note options
     let encoded = getMessageEncoding("#aes-gcm-message");
-    // Generate an IV and convert to Base64
-    let iv = generateRandomArrayBuffer(12); // 96-bit standard
-    let base64iv = iv.toBase64();
-    // Generate an AES-GCM key and convert to Base64 (URL-Safe)
-    let key = await generateAesGcmKey();
-    let base64Key = await exportAesGcmKeyToBase64(key);
-    let base64UrlSafe = base64URLencode(base64Key);
-    // Encrypt the message
-    let ciphertext = await window.crypto.subtle.encrypt(
-      {
-        name: "AES-GCM",
-        iv
-      },
-      key,
-      encoded
-    );
-    // Convert Ciphertext to Base64
-    let base64Cipher = convertArrayBuffertoB64(ciphertext);
-    // Concatenate Base64 Ciphertext and IV to a single string
-    let concatCipherIV = base64iv.concat(base64Cipher);
-    // Construct POST method with the Concatenated Ciphertext
+    let passphrase = document.querySelector("#aes-gcm-passphrase").value;
+    let expireSelect = document.querySelector("#aes-gcm-expire");
+    let views = document.querySelector("#aes-gcm-views").value;
+    let split = document.querySelector("#aes-gcm-split").value;
+    let format = document.querySelector("#aes-gcm-format").value;
+    let files;
+    try {
+      files = await getAttachedFiles("#aes-gcm-files");
+    } catch (err) {
+      loadAnim.style.visibility = "hidden"
+      showEncryptError(`error: ${err.message}.`);
+      return;
+    }
+    // Reserve the note's ID first, so a server can't pass the ciphertext off as a different note
+    let reserved = await reserveNoteId();
+    if (reserved.id === 'ERROR') {
+      loadAnim.style.visibility = "hidden"
+      if (reserved.message) {
+        showEncryptError(`error: ${reserved.message}.`);
+      } else {
+        showEncryptError(`error: too many ${reserved.reason} requests.  please wait ${reserved.time} minute(s).`);
+      }
+      return;
+    }
+    // The expiry and views chosen here are authenticated along with the message, for the reader to check
+    let meta = { views: Number(views) };
+    if (expireSelect) {
+      meta.expire = Number(expireSelect.value);
+    }
+    // Encrypt the message (marked with its format) and files with a new key (combined with the passphrase, if one was given)
+    let encrypted = await encryptNote(encoded, passphrase, files, reserved.id, meta, format);
+    let attachments = encrypted.attachments;
+    // Construct POST method with the reserved ID and the Ciphertext Envelope
     let details = {
-      'cipher': `${concatCipherIV}`,
+      'n': `${reserved.id}`,
+      'cipher': `${encrypted.cipher}`,
+      'views': `${views}`,
     };
-    let formBody = [];
-    for (var property in details) {
-      var encodedKey = encodeURIComponent(property);
-      var encodedValue = encodeURIComponent(details[property]);
-      formBody.push(encodedKey + "=" + encodedValue);
+    if (expireSelect) {
+      details['expire'] = `${expireSelect.value}`;
     }
-    formBody = formBody.join("&");
+    if (attachments.length > 0) {
+      details['attachments'] = JSON.stringify(attachments);
+    }
+    let formBody = getFormBody(details);
     // POST and receive response
     let noteUrl = await fetch('/encrypt', {
       method: 'POST',
@@ -220,25 +355,28 @@
     });
     // Hide the loader
     loadAnim.style.visibility = "hidden"
-    if (!noteUrl.ok) {
+    if (!noteUrl.ok && ![400, 413, 429, 507].includes(noteUrl.status)) {
       throw new Error(`Response status: ${noteUrl.status}`);
     }
     // Parse the response body as JSON
     let data = await noteUrl.json();
     // Check if error
     if (data.id === 'ERROR') {
-      // Output to HTML fields
-      const messageLink = document.querySelector(".aes-gcm #noteURL-value");
-      messageLink.classList.add('fade-in');
-      messageLink.addEventListener('animationend', () => {
-      messageLink.classList.remove('fade-in');
-      }, { once: true });
-      messageLink.value = `error: too many ${data.reason} requests.  please wait ${data.time} minute(s).`
-      messageLink.style.backgroundColor = "#A44";
+      if (data.message) {
+        showEncryptError(`error: ${data.message}.`);
+      } else {
+        showEncryptError(`error: too many ${data.reason} requests.  please wait ${data.time} minute(s).`);
+      }
     } else {
-      data = data.id;
-      // Concatenate UUID response with Secret key to form complete URL
-      let concatUrl = data.concat(base64UrlSafe);
+      // Split the key if asked, the link carries the first share and the rest are codes to send separately
+      let shares = [encrypted.key];
+      if (split !== '') {
+        let [threshold, count] = split.split('/').map(Number);
+        shares = splitKey(encrypted.key, threshold, count);
+        showShareCodes(shares.slice(1));
+      }
+      // Concatenate UUID response with Secret key (or its first share) to form complete URL
+      let concatUrl = data.id.concat(shares[0]);
       // Output to HTML fields
       const messageLink = document.querySelector(".aes-gcm #noteURL-value");
       messageLink.classList.add('fade-in');
@@ -246,32 +384,154 @@
       messageLink.classList.remove('fade-in');
       }, { once: true });
       messageLink.textContent = concatUrl;
+      // Output the sender's revoke link
+      const revokeLink = document.querySelector(".aes-gcm #revokeURL-value");
+      revokeLink.classList.add('fade-in');
+      revokeLink.addEventListener('animationend', () => {
+      revokeLink.classList.remove('fade-in');
+      }, { once: true });
+      revokeLink.textContent = data.revoke;
+      // Output the sender's status link
+      const statusLink = document.querySelector(".aes-gcm #statusURL-value");
+      statusLink.classList.add('fade-in');
+      statusLink.addEventListener('animationend', () => {
+      statusLink.classList.remove('fade-in');
+      }, { once: true });
+      statusLink.textContent = data.status;
     }
   };
 
+  /*
+  Show the codes of a split key, one per line
+  */
+  function showShareCodes(codes) {
+    const sharesLink = document.querySelector(".aes-gcm #shares-value");
+    sharesLink.classList.add('fade-in');
+    sharesLink.addEventListener('animationend', () => {
+    sharesLink.classList.remove('fade-in');
+    }, { once: true });
+    sharesLink.value = codes.join('\n');
+    document.querySelector(".encrypt-controls .sharesURL").classList.remove('hidden');
+  }
+
+  /*
+  Show an encryption error in place of the link
+  */
+  function showEncryptError(error) {
+    const messageLink = document.querySelector(".aes-gcm #noteURL-value");
+    messageLink.classList.add('fade-in');
+    messageLink.addEventListener('animationend', () => {
+    messageLink.classList.remove('fade-in');
+    }, { once: true });
+    messageLink.value = error;
+    messageLink.style.backgroundColor = "#A44";
+  }
+
+  /*
+  REQUEST A SECRET
+  */
+  async function requestSecret() {
+    // Show the loader
+    const loadAnim = document.querySelector(".loader");
+    loadAnim.style.visibility = "visible"
+    let expireSelect = document.querySelector("#aes-gcm-expire");
+    // Generate the key pair first, the private key never leaves this page except in the private link
+    let keys = await generateBoxKeys();
+    let data = await openRequest(expireSelect ? expireSelect.value : null);
+    // Hide the loader
+    loadAnim.style.visibility = "hidden"
+    const uploadLink = document.querySelector(".aes-gcm #uploadURL-value");
+    if (data.id === 'ERROR') {
+      if (data.message) {
+        uploadLink.value = `error: ${data.message}.`;
+      } else {
+        uploadLink.value = `error: too many ${data.reason} requests.  please wait ${data.time} minute(s).`;
+      }
+      uploadLink.style.backgroundColor = "#A44";
+      return;
+    }
+    // Output the upload link, with the public key
+    uploadLink.classList.add('fade-in');
+    uploadLink.addEventListener('animationend', () => {
+    uploadLink.classList.remove('fade-in');
+    }, { once: true });
+    uploadLink.textContent = data.upload.concat(keys.publicKey);
+    // Output the requester's private link, with the private key
+    const openLink = document.querySelector(".aes-gcm #openURL-value");
+    openLink.classList.add('fade-in');
+    openLink.addEventListener('animationend', () => {
+    openLink.classList.remove('fade-in');
+    }, { once: true });
+    openLink.textContent = data.open.concat(keys.privateKey);
+  }
+
+  /*
+  SEND A REQUESTED SECRET
+  */
+  async function sendSecret(boxId) {
+    // Show the loader
+    const loadAnim = document.querySelector(".loader");
+    loadAnim.style.visibility = "visible"
+    const status = document.querySelector("#drop-status");
+    let encoded = getMessageEncoding("#aes-gcm-message");
+    let format = document.querySelector("#aes-gcm-format").value;
+    let files;
+    try {
+      files = await getAttachedFiles("#aes-gcm-files");
+    } catch (err) {
+      loadAnim.style.visibility = "hidden"
+      status.value = `error: ${err.message}.`;
+      status.style.backgroundColor = "#A44";
+      return false;
+    }
+    // Encrypt the message and files to the requester's public key from the link, bound to the box
+    let encrypted = await encryptBoxNote(encoded, getLinkBoxKey(window.location.hash), files, boxId, format);
+    let details = {
+      'n': `${boxId}`,
+      'cipher': `${encrypted.cipher}`,
+    };
+    if (encrypted.attachments.length > 0) {
+      details['attachments'] = JSON.stringify(encrypted.attachments);
+    }
+    let data = await dropSecret(details);
+    // Hide the loader
+    loadAnim.style.visibility = "hidden"
+    // Update the HTML with the result
+    if (data.sent) {
+      status.value = "your secret has been sent, and can only be read by whoever requested it.";
+      status.style.backgroundColor = '';
+      return true;
+    }
+    if (data.message) {
+      status.value = `error: ${data.message}.`;
+    } else if (data.id === 'ERROR') {
+      status.value = `error: too many ${data.reason} requests.  please wait ${data.time} minute(s).`;
+    } else {
+      status.value = "error: this request has already been answered, or has expired.";
+    }
+    status.style.backgroundColor = "#A44";
+    return false;
+  }
+
   /*
   DECRYPT THE MESSAGE
   */
-  async function decryptMessage() {
-    // Fetch values
-    let encodedCipher = getConcatMessageEncoding();
-    let encodedIV = getConcatMessageEncoding(true);
-    // Fetch secret key
-    let windowHash = window.location.hash;
-    let encodedKey = windowHash.substring(1, 44);
-    // Convert Secret key back to Base64
-    let base64Key = base64URLdecode(encodedKey);
-    // Convert the Base64 key value to a valid AES-GCM key
-    let convertedKey = await importBase64ToAesGcmKey(base64Key);
-    // Decrypt the message
-    let decrypted = await window.crypto.subtle.decrypt(
-      {
-        name: "AES-GCM",
-        iv: encodedIV // Apparently this gets labeled, and in subtle.encrypt it doesn't???
-      },
-      convertedKey,
-      encodedCipher
-    );
+  async function decryptMessage(message, passphrase = '', attachments = [], noteId = '', views = 0, expires = null, codes = []) {
+    // Decrypt the message and files with the secret key from the link (rebuilt with the codes, if the link only
+    // holds a share of it), or the requester's private key for a requested secret (throws if the passphrase or a
+    // code is wrong, or with err.code 'tampered' if the message was bound to a different note)
+    let share = getLinkShare(window.location.hash);
+    let key = getLinkKey(window.location.hash);
+    if (isBoxMessage(message)) {
+      key = getLinkBoxKey(window.location.hash);
+    } else if (share !== null) {
+      key = combineKeyShares([share].concat(codes));
+    }
+    let decrypted = await decryptNote(message, key, passphrase, attachments, noteId);
+    // The server can't have more views left, or keep the note longer, than the sender allowed
+    if (!checkNoteMeta(decrypted.meta, views, expires)) {
+      showTamperWarning();
+    }
     // Output to HTML fields
     const decryptedValue = document.querySelector(".aes-gcm #decrypted-value");
     decryptedValue.classList.add('fade-in');
@@ -279,7 +539,136 @@
       decryptedValue.classList.remove('fade-in');
     }, { once: true });
     let dec = new TextDecoder();
-    decryptedValue.textContent = dec.decode(decrypted);
+    decryptedValue.textContent = dec.decode(decrypted.message);
+    // Show markdown formatted, keeping the raw text in the textarea
+    if (decrypted.format === 'markdown') {
+      showMarkdown(decryptedValue.textContent);
+    }
+    // Offer any files as downloads
+    if (decrypted.files.length > 0) {
+      showAttachments(decrypted.files);
+    }
+  }
+
+  /*
+  Render a markdown message, giving each code block its own copy button
+  */
+  function showMarkdown(text) {
+    const formatted = document.querySelector(".aes-gcm #decrypted-markdown");
+    formatted.appendChild(renderMarkdown(text));
+    for (let pre of formatted.querySelectorAll("pre")) {
+      let block = document.createElement("div");
+      block.classList.add('code-block');
+      let controls = document.createElement("div");
+      controls.classList.add('code-controls');
+      let language = document.createElement("span");
+      language.classList.add('code-language');
+      language.textContent = pre.firstChild.dataset.language || '';
+      let copyButton = document.createElement("input");
+      copyButton.type = "button";
+      copyButton.value = "Copy";
+      let copiedText = document.createElement("span");
+      copiedText.classList.add('copied-text');
+      copiedText.textContent = "copied text";
+      copyButton.addEventListener('click', async () => {
+        copyText(pre.textContent, copiedText);
+      });
+      controls.append(language, copyButton, copiedText);
+      pre.replaceWith(block);
+      block.append(controls, pre);
+    }
+    document.querySelector(".aes-gcm .format-button").classList.remove('hidden');
+    showFormatted(true);
+  }
+
+  /*
+  Switch a markdown message between formatted and its raw text (which the textarea copies when clicked)
+  */
+  function showFormatted(formatted) {
+    document.querySelector(".aes-gcm #decrypted-markdown").classList.toggle('hidden', !formatted);
+    document.querySelector(".aes-gcm #decrypted-value").classList.toggle('hidden', formatted);
+    document.querySelector(".aes-gcm .message-control .copy-hint").classList.toggle('hidden', formatted);
+    document.querySelector(".aes-gcm .format-button").value = formatted ? "Raw text" : "Formatted";
+  }
+
+  /*
+  Warn the reader that the server sent something other than what the sender encrypted
+  */
+  function showTamperWarning() {
+    document.querySelector(".tamper-warning").classList.remove('hidden');
+  }
+
+  /*
+  Offer decrypted files as downloads
+  */
+  function showAttachments(files) {
+    const list = document.querySelector(".aes-gcm #attachment-list");
+    for (let file of files) {
+      // Only trust a plain MIME type, anything else downloads as raw bytes
+      let type = /^[\w.+-]+\/[\w.+-]+$/.test(file.type) ? file.type : "application/octet-stream";
+      let link = document.createElement("a");
+      link.href = URL.createObjectURL(new Blob([file.data], { type: type }));
+      link.download = file.name;
+      link.textContent = `${file.name} (${file.data.byteLength} bytes)`;
+      let item = document.createElement("li");
+      item.appendChild(link);
+      list.appendChild(item);
+    }
+    document.querySelector(".decrypt-controls .attachments-control").classList.remove('hidden');
+  }
+
+  //#endregion
+
+  //-----------------------
+
+  /////////////////////////////////
+  //#region ADMIN DASHBOARD
+  /////////////////////////////////
+
+  /*
+  Replace the items of a list with lines of text
+  */
+  function fillList(element, lines) {
+    const list = document.querySelector(element);
+    list.textContent = '';
+    for (let line of lines) {
+      let item = document.createElement("li");
+      item.textContent = line;
+      list.appendChild(item);
+    }
+  }
+
+  /*
+  Show the admin stats (counts only, the admin API never sends ciphertext)
+  */
+  function showAdminStats(stats) {
+    let since = new Date(stats.since).toLocaleString();
+    fillList("#admin-notes", [
+      `live: ${stats.notes.live} (${stats.notes.boxes} waiting drop box(es)), reserved ids: ${stats.notes.reserved}`,
+      `read: ${stats.notes.read}, expired: ${stats.notes.expired}, revoked: ${stats.notes.revoked} (while their read receipts are kept)`,
+      `storage: ${stats.storage.bytes} bytes of ciphertext, ${stats.storage.databaseBytes} bytes in total (${stats.storage.driver})`
+    ]);
+    let blocks = stats.blocks.map((block) => {
+      let reasons = Object.keys(block.reasons).map((reason) => `${reason}: ${block.reasons[reason]}`).join(', ');
+      return `${block.subnet} - ${block.total} blocked (${reasons}), last at ${new Date(block.last).toLocaleString()}`;
+    });
+    fillList("#admin-blocks", blocks.length > 0 ? blocks : [`none since ${since}`]);
+    let tokens = stats.tokens.map((token) => {
+      let revoked = token.revoked ? ' (revoked)' : '';
+      return `${token.id} "${token.label}"${revoked} - ${token.notes} note(s), ${token.bytes} bytes, ${token.blocked} blocked since ${since}`;
+    });
+    fillList("#admin-tokens", tokens.length > 0 ? tokens : ["none"]);
+    document.querySelector(".admin-stats").classList.remove('hidden');
+    document.querySelector(".admin-purge").classList.remove('hidden');
+  }
+
+  /*
+  Show the result of a purge
+  */
+  function showAdminStatus(text, failed) {
+    const status = document.querySelector("#admin-status");
+    status.value = text;
+    status.style.backgroundColor = failed ? "#A44" : '';
   }
 
   //#endregion
@@ -293,12 +682,13 @@
   /*
   Encrypt message page
   */
-  if (document.querySelector("#aes-gcm-message")) {
+  if (document.querySelector(".encrypt-button")) {
     // Encrypt Button
     const encryptButton = document.querySelector(".aes-gcm .encrypt-button");
     encryptButton.addEventListener("click", () => {
-      // Check if the message is blank
-      if (document.querySelector("#aes-gcm-message").value != '') {
+      // Check if the message is blank, and no files were attached
+      const fileInput = document.querySelector("#aes-gcm-files");
+      if (document.querySelector("#aes-gcm-message").value != '' || (fileInput && fileInput.files.length > 0)) {
         // Lock the textarea and button
         const messageArea = document.querySelector("#aes-gcm-message");
         messageArea.readOnly = true;
@@ -312,25 +702,279 @@
     textArea.addEventListener('click', async () => {
       copyToClipboard(textArea);
     });
+    const revokeArea = document.querySelector("#revokeURL-value");
+    revokeArea.addEventListener('click', async () => {
+      copyToClipboard(revokeArea);
+    });
+    const statusArea = document.querySelector("#statusURL-value");
+    statusArea.addEventListener('click', async () => {
+      copyToClipboard(statusArea);
+    });
   };
 
   /*
-  Decrypt message page
+  Request a secret page
   */
-  // If the response is valid...
-  if (document.head.querySelector("[property~=cipher][content]").content) {
-    // Decrypt the message
-    decryptMessage();
+  if (document.querySelector(".request-button")) {
+    const requestButton = document.querySelector(".request-controls .request-button");
+    requestButton.addEventListener("click", () => {
+      // Lock the button, each click opens a new request
+      requestButton.disabled = true;
+      requestSecret();
+    });
     // Copy to Clipboard
-    const textArea = document.querySelector("#decrypted-value");
-    textArea.addEventListener('click', async () => {
-      copyToClipboard(textArea);
+    const uploadArea = document.querySelector("#uploadURL-value");
+    uploadArea.addEventListener('click', async () => {
+      copyToClipboard(uploadArea);
+    });
+    const openArea = document.querySelector("#openURL-value");
+    openArea.addEventListener('click', async () => {
+      copyToClipboard(openArea);
+    });
+  };
+
+  /*
+  Send a requested secret page
+  */
+  if (document.querySelector(".drop-button")) {
+    const dropButton = document.querySelector(".drop-controls .drop-button");
+    const boxId = document.head.querySelector("[property~=note]").content;
+    dropButton.addEventListener("click", async () => {
+      // Check if the message is blank, and no files were attached
+      const fileInput = document.querySelector("#aes-gcm-files");
+      const messageArea = document.querySelector("#aes-gcm-message");
+      if (messageArea.value != '' || (fileInput && fileInput.files.length > 0)) {
+        // Lock the textarea and button, unlocking them if the secret could be sent again
+        messageArea.readOnly = true;
+        dropButton.disabled = true;
+        if (await sendSecret(boxId)) {
+          dropButton.classList.add('hidden');
+        } else {
+          messageArea.readOnly = false;
+          dropButton.disabled = false;
+        }
+      };
+    });
+  };
+
+  /*
+  Admin dashboard page
+  */
+  if (document.querySelector(".load-button")) {
+    const loadButton = document.querySelector(".admin-controls .load-button");
+    const tokenInput = document.querySelector("#admin-token");
+    const adminError = document.querySelector(".admin-controls .admin-error");
+    // Fetch and show the stats, returning false if the token was refused
+    const loadStats = async () => {
+      let response = await adminRequest('GET', '/stats', tokenInput.value);
+      if (response.status !== 200) {
+        adminError.classList.remove('hidden');
+        return false;
+      }
+      adminError.classList.add('hidden');
+      showAdminStats(response.data);
+      return true;
+    };
+    loadButton.addEventListener("click", async () => {
+      loadButton.disabled = true;
+      await loadStats();
+      loadButton.disabled = false;
+    });
+    // Purge a note by ID
+    const purgeButton = document.querySelector(".admin-controls .purge-button");
+    purgeButton.addEventListener("click", async () => {
+      const noteId = document.querySelector("#admin-purge-id").value.trim();
+      if (noteId === '') {
+        return;
+      }
+      purgeButton.disabled = true;
+      let response = await adminRequest('DELETE', `/notes/${encodeURIComponent(noteId)}`, tokenInput.value);
+      if (response.status === 204) {
+        showAdminStatus(`purged ${noteId}.`, false);
+      } else {
+        showAdminStatus(`error: ${response.data.error.message}.`, true);
+      }
+      await loadStats();
+      purgeButton.disabled = false;
+    });
+    // Purge everything, once the admin confirms
+    const purgeAllButton = document.querySelector(".admin-controls .purge-all-button");
+    purgeAllButton.addEventListener("click", async () => {
+      if (!window.confirm("purge every note, read receipt and reservation? this can not be undone.")) {
+        return;
+      }
+      purgeAllButton.disabled = true;
+      let response = await adminRequest('DELETE', '/notes', tokenInput.value);
+      if (response.status === 200) {
+        showAdminStatus(`purged ${response.data.purged} note(s).`, false);
+      } else {
+        showAdminStatus(`error: ${response.data.error.message}.`, true);
+      }
+      await loadStats();
+      purgeAllButton.disabled = false;
+    });
+  };
+
+  /*
+  Revoke message page
+  */
+  if (document.querySelector(".revoke-button")) {
+    const revokeButton = document.querySelector(".revoke-controls .revoke-button");
+    revokeButton.addEventListener("click", async () => {
+      // Lock the button
+      revokeButton.disabled = true;
+      const noteId = document.head.querySelector("[property~=note]").content;
+      const revokeToken = window.location.hash.substring(1);
+      const status = document.querySelector("#revoke-status");
+      // Update the HTML with the result
+      if (await revokeMessage(noteId, revokeToken)) {
+        status.value = "this message has been revoked, and can no longer be read.";
+        revokeButton.classList.add('hidden');
+      } else {
+        status.value = "error: this message could not be revoked. it may have already been read.";
+        status.style.backgroundColor = "#A44";
+      };
     });
-  } else {
-    // Update the HTML with error info
+  };
+
+  /*
+  Message status page
+  */
+  if (document.querySelector(".refresh-button")) {
+    const refreshButton = document.querySelector(".status-controls .refresh-button");
+    const noteId = document.head.querySelector("[property~=note]").content;
+    const statusToken = window.location.hash.substring(1);
+    const status = document.querySelector("#note-status");
+    // Update the HTML with the note's status
+    const showStatus = async () => {
+      refreshButton.disabled = true;
+      let data = await fetchStatus(noteId, statusToken);
+      status.value = describeStatus(data);
+      status.style.backgroundColor = data.state === '' ? "#A44" : '';
+      refreshButton.disabled = false;
+    };
+    refreshButton.addEventListener("click", showStatus);
+    showStatus();
+  };
+
+  /*
+  Decrypt message page
+  */
+  if (document.querySelector(".reveal-button")) {
+    const noteId = document.head.querySelector("[property~=note]").content;
     const textArea = document.querySelector("#decrypted-value");
-    textArea.value = "error: invalid request."
-    textArea.style.backgroundColor = "#A44";
+    // If the note exists...
+    if (noteId) {
+      // A link holding a share of the key needs the sender's other codes, which can be entered before revealing
+      const linkShare = getLinkShare(window.location.hash);
+      const sharesControl = document.querySelector(".decrypt-controls .shares-control");
+      const sharesError = document.querySelector(".decrypt-controls .shares-error");
+      if (linkShare !== null) {
+        document.querySelector(".reveal-description .shares-description").classList.remove('hidden');
+        document.querySelector(".decrypt-controls .shares-count").textContent = parseKeyShare(linkShare).threshold - 1;
+        sharesControl.classList.remove('hidden');
+      }
+      // Read the codes entered, one per line
+      const getCodes = () => {
+        return document.querySelector("#shares-input").value.split(/\s+/).filter((code) => code !== '');
+      };
+      // Reveal Button
+      const revealButton = document.querySelector(".decrypt-controls .reveal-button");
+      revealButton.addEventListener("click", async () => {
+        // Lock the button
+        revealButton.disabled = true;
+        // Fetch the message (this uses up a view, and purges it from the server after the last)
+        let response = await fetchMessage(noteId);
+        let message = response.cipher;
+        let attachments = response.attachments || [];
+        // Swap the reveal prompt for the message
+        revealButton.classList.add('hidden');
+        document.querySelector(".reveal-description").classList.add('hidden');
+        document.querySelector(".decrypt-description").classList.remove('hidden');
+        if (response.views > 0) {
+          document.querySelector(".decrypt-description .views-count").textContent = response.views;
+          document.querySelector(".decrypt-description .views-remaining").classList.remove('hidden');
+        };
+        if (message && (isPassphraseMessage(message) || linkShare !== null)) {
+          // Prompt for the passphrase and any missing codes (the message stays on this page, so they can be retried)
+          const needsPassphrase = isPassphraseMessage(message);
+          const passphraseControl = document.querySelector(".decrypt-controls .passphrase-control");
+          const passphraseError = document.querySelector(".decrypt-controls .passphrase-error");
+          const decryptButton = document.querySelector(".decrypt-controls .decrypt-button");
+          if (needsPassphrase) {
+            passphraseControl.classList.remove('hidden');
+          }
+          decryptButton.classList.remove('hidden');
+          decryptButton.addEventListener("click", async () => {
+            decryptButton.disabled = true;
+            passphraseError.classList.add('hidden');
+            sharesError.classList.add('hidden');
+            try {
+              // Decrypt the message
+              await decryptMessage(message, document.querySelector("#passphrase-value").value, attachments, noteId, response.views, response.expires, getCodes());
+              passphraseControl.classList.add('hidden');
+              sharesControl.classList.add('hidden');
+              decryptButton.classList.add('hidden');
+              document.querySelector(".decrypt-controls .message-control").classList.remove('hidden');
+            } catch (err) {
+              if (err.code === 'tampered') {
+                // No passphrase or code will help, the message belongs to a different note
+                passphraseControl.classList.add('hidden');
+                sharesControl.classList.add('hidden');
+                decryptButton.classList.add('hidden');
+                showTamperWarning();
+                return;
+              }
+              // Wrong passphrase or code(s), let the reader try again
+              if (linkShare !== null) {
+                sharesError.classList.remove('hidden');
+              }
+              if (needsPassphrase) {
+                passphraseError.classList.remove('hidden');
+              }
+              decryptButton.disabled = false;
+            };
+          });
+        } else if (message) {
+          // Decrypt the message
+          document.querySelector(".decrypt-controls .message-control").classList.remove('hidden');
+          decryptMessage(message, '', attachments, noteId, response.views, response.expires).catch((err) => {
+            if (err.code === 'tampered') {
+              showTamperWarning();
+            }
+            // Wrong key in the link, a tampered message, or an envelope version this page can't read
+            textArea.value = "error: this note could not be decrypted."
+            textArea.style.backgroundColor = "#A44";
+          });
+        } else if (response.id === 'ERROR') {
+          // Too many notes were looked up, the note is still there to try again later
+          document.querySelector(".decrypt-controls .message-control").classList.remove('hidden');
+          textArea.value = `error: too many ${response.reason} requests.  please wait ${response.time} minute(s).`
+          textArea.style.backgroundColor = "#A44";
+        } else {
+          // Update the HTML with error info
+          sharesControl.classList.add('hidden');
+          document.querySelector(".decrypt-controls .message-control").classList.remove('hidden');
+          textArea.value = "error: invalid request."
+          textArea.style.backgroundColor = "#A44";
+        };
+      });
+      // Copy to Clipboard
+      textArea.addEventListener('click', async () => {
+        copyToClipboard(textArea);
+      });
+      // Switch a markdown message between formatted and raw text
+      const formatButton = document.querySelector(".decrypt-controls .format-button");
+      formatButton.addEventListener("click", () => {
+        showFormatted(document.querySelector("#decrypted-markdown").classList.contains('hidden'));
+      });
+    } else {
+      // Update the HTML with error info
+      document.querySelector(".decrypt-controls .reveal-button").classList.add('hidden');
+      document.querySelector(".decrypt-controls .message-control").classList.remove('hidden');
+      textArea.value = "error: invalid request."
+      textArea.style.backgroundColor = "#A44";
+    };
   };
 
   //#endregion
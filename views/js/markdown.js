@@ -0,0 +1,342 @@
+(() => {
+  /////////////////////////////////
+  //#region MARKDOWN
+  /////////////////////////////////
+
+  /*
+  Render a markdown note for the reader, as window.notelockMarkdown
+  The note is never parsed as HTML: the markdown is read into a short list of allowed elements, each made with
+  createElement and filled with textContent, so any HTML written in the note shows up as text
+  Links only keep http(s) and mailto URLs, and images are shown as links to them, so opening a note never loads
+  anything from another server
+  Covers headings, paragraphs (each line break kept), emphasis, strikethrough, code spans, fenced and indented code
+  blocks, quotes, lists, tables, rules and links
+  */
+  const fencePattern = /^ {0,3}(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+  const indentedCodePattern = /^( {4}|\t)/;
+  const headingPattern = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+  const rulePattern = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const quotePattern = /^ {0,3}> ?(.*)$/;
+  const itemPattern = /^( {0,3})([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+  const delimiterRowPattern = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+  const safeUrlPattern = /^(https?:\/\/|mailto:)/i;
+  const maxDepth = 16; // Deepest quotes, lists and emphasis are nested, anything deeper is shown as text
+  const spanLimit = 1024; // Furthest a closing marker is looked for, so unmatched ones in a long note stay quick
+  const closingSearches = { '*': /[\\`*]/g, '_': /[\\`_]/g, '~': /[\\`~]/g }; // What can escape, skip or close each marker
+
+  /*
+  Check if a line starts a block other than a paragraph, so it ends the paragraph before it
+  */
+  function startsBlock(line) {
+    return fencePattern.test(line) || headingPattern.test(line) || rulePattern.test(line) || quotePattern.test(line) || itemPattern.test(line);
+  }
+
+  /*
+  Count the spaces a line starts with
+  */
+  function getIndent(line) {
+    return line.length - line.trimStart().length;
+  }
+
+  /*
+  Split a table row into its cells, at each unescaped pipe
+  */
+  function splitRow(line) {
+    let row = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+    return row.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  /*
+  Make a code block, marked with its language (if given) for the reader's page
+  */
+  function createCodeBlock(text, language) {
+    let pre = document.createElement("pre");
+    let code = document.createElement("code");
+    code.textContent = text;
+    if (language) {
+      code.dataset.language = language;
+    }
+    pre.appendChild(code);
+    return pre;
+  }
+
+  /*
+  Add the blocks in some lines of markdown to an element
+  */
+  function renderBlocks(lines, parent, depth) {
+    let i = 0;
+    while (i < lines.length) {
+      let line = lines[i];
+      let match;
+      if (line.trim() === '') {
+        i++;
+      } else if (depth > maxDepth) {
+        let paragraph = document.createElement("p");
+        paragraph.textContent = lines.slice(i).join('\n');
+        parent.appendChild(paragraph);
+        return;
+      } else if ((match = fencePattern.exec(line))) {
+        // A fence runs to one of at least the same length, or the end of the note
+        let fence = match[1];
+        let code = [];
+        for (i++; i < lines.length; i++) {
+          let end = /^ {0,3}(`{3,}|~{3,})[ \t]*$/.exec(lines[i]);
+          if (end && end[1][0] === fence[0] && end[1].length >= fence.length) {
+            i++;
+            break;
+          }
+          code.push(lines[i]);
+        }
+        parent.appendChild(createCodeBlock(code.join('\n'), match[2]));
+      } else if (indentedCodePattern.test(line)) {
+        let code = [];
+        for (; i < lines.length && (indentedCodePattern.test(lines[i]) || lines[i].trim() === ''); i++) {
+          code.push(lines[i].replace(indentedCodePattern, ''));
+        }
+        while (code[code.length - 1].trim() === '') {
+          code.pop();
+        }
+        parent.appendChild(createCodeBlock(code.join('\n'), ''));
+      } else if ((match = headingPattern.exec(line))) {
+        let heading = document.createElement(`h${match[1].length}`);
+        renderInline(match[2] || '', heading);
+        parent.appendChild(heading);
+        i++;
+      } else if (rulePattern.test(line)) {
+        parent.appendChild(document.createElement("hr"));
+        i++;
+      } else if (quotePattern.test(line)) {
+        // A quote runs on over every line until a blank one, "> " or not
+        let quoted = [];
+        for (; i < lines.length && lines[i].trim() !== ''; i++) {
+          match = quotePattern.exec(lines[i]);
+          quoted.push(match ? match[1] : lines[i]);
+        }
+        let quote = document.createElement("blockquote");
+        renderBlocks(quoted, quote, depth + 1);
+        parent.appendChild(quote);
+      } else if ((match = itemPattern.exec(line))) {
+        let ordered = /\d/.test(match[2]);
+        let list = document.createElement(ordered ? "ol" : "ul");
+        if (ordered && parseInt(match[2], 10) !== 1) {
+          list.start = parseInt(match[2], 10);
+        }
+        // Each item runs on over its indented lines (i.e. a nested list) and the rest of its paragraph
+        while (i < lines.length && (match = itemPattern.exec(lines[i])) && /\d/.test(match[2]) === ordered) {
+          let indent = match[1].length + match[2].length + 1;
+          let content = [match[3] || ''];
+          for (i++; i < lines.length; i++) {
+            let next = lines[i];
+            if (next.trim() === '') {
+              let after = lines[i + 1];
+              if (after !== undefined && after.trim() !== '' && getIndent(after) >= 2) {
+                content.push('');
+                continue;
+              }
+              if (after !== undefined && itemPattern.test(after)) {
+                i++;
+              }
+              break;
+            }
+            if (getIndent(next) >= 2) {
+              content.push(next.substring(Math.min(getIndent(next), indent)));
+            } else if (!startsBlock(next) && content[content.length - 1] !== '') {
+              content.push(next);
+            } else {
+              break;
+            }
+          }
+          let item = document.createElement("li");
+          renderBlocks(content, item, depth + 1);
+          list.appendChild(item);
+        }
+        parent.appendChild(list);
+      } else if (line.includes('|') && i + 1 < lines.length && delimiterRowPattern.test(lines[i + 1]) && splitRow(lines[i + 1]).length === splitRow(line).length) {
+        let aligns = splitRow(lines[i + 1]).map((cell) => {
+          if (/^:-+:$/.test(cell)) {
+            return 'align-center';
+          }
+          return /-:$/.test(cell) ? 'align-right' : '';
+        });
+        let table = document.createElement("table");
+        let addRow = (section, cells, tag) => {
+          let row = document.createElement("tr");
+          aligns.forEach((align, column) => {
+            let cell = document.createElement(tag);
+            if (align) {
+              cell.classList.add(align);
+            }
+            renderInline(cells[column] || '', cell);
+            row.appendChild(cell);
+          });
+          section.appendChild(row);
+        };
+        let head = document.createElement("thead");
+        addRow(head, splitRow(line), "th");
+        table.appendChild(head);
+        let body = document.createElement("tbody");
+        for (i += 2; i < lines.length && lines[i].trim() !== '' && lines[i].includes('|'); i++) {
+          addRow(body, splitRow(lines[i]), "td");
+        }
+        table.appendChild(body);
+        parent.appendChild(table);
+      } else {
+        let text = [line];
+        for (i++; i < lines.length && lines[i].trim() !== '' && !startsBlock(lines[i]); i++) {
+          text.push(lines[i]);
+        }
+        let paragraph = document.createElement("p");
+        renderInline(text.join('\n'), paragraph);
+        parent.appendChild(paragraph);
+      }
+    }
+  }
+
+  /*
+  Find where an emphasis marker closes, from start, or -1 if it doesn't
+  Escapes and code spans are skipped, and "_" only closes at the end of a word
+  */
+  function findClosing(text, start, marker) {
+    let limit = Math.min(text.length, start + spanLimit);
+    let search = closingSearches[marker[0]];
+    search.lastIndex = start;
+    for (let found = search.exec(text); found && found.index < limit; found = search.exec(text)) {
+      let j = found.index;
+      if (text[j] === '\\') {
+        search.lastIndex = j + 2;
+      } else if (text[j] === '`') {
+        let span = /^(`+)(?!`)[^]*?[^`]\1(?!`)/.exec(text.substring(j, limit));
+        search.lastIndex = j + (span ? span[0].length : 1);
+      } else if (text.startsWith(marker, j) && !/\s/.test(text[j - 1])) {
+        if (marker.length === 1 && text[j + 1] === marker) {
+          search.lastIndex = j + 2; // A double marker never closes a single one
+        } else if (marker[0] !== '_' || !/\w/.test(text[j + marker.length] || '')) {
+          // Close at the end of a longer run, so "***text***" is emphasis inside strong
+          while (text[j + marker.length] === marker[0]) {
+            j++;
+          }
+          return j;
+        }
+      }
+    }
+    return -1;
+  }
+
+  /*
+  Add an inline link, or just its label if the URL isn't one notelock will link to
+  The label is markdown, unless it's an image's description or the URL itself (shown as written)
+  */
+  function appendLink(parent, url, label, kind) {
+    let target = parent;
+    if (safeUrlPattern.test(url)) {
+      target = document.createElement("a");
+      target.href = url;
+      target.target = "_blank";
+      target.rel = "noopener noreferrer";
+      parent.appendChild(target);
+    }
+    if (kind === 'image') {
+      target.appendChild(document.createTextNode(label !== '' ? `[image: ${label}]` : '[image]'));
+    } else if (kind === 'url') {
+      target.appendChild(document.createTextNode(label));
+    } else {
+      renderInline(label, target, target !== parent);
+    }
+  }
+
+  /*
+  Add the inline text of a block (emphasis, code spans, links and line breaks) to an element
+  Inside a link (linked), nothing more is linked, and past maxDepth emphasis markers are shown as text
+  */
+  function renderInline(text, parent, linked = false, depth = 0) {
+    let plain = '';
+    let flush = () => {
+      if (plain !== '') {
+        parent.appendChild(document.createTextNode(plain));
+        plain = '';
+      }
+    };
+    let i = 0;
+    while (i < text.length) {
+      // Most characters can't start anything, so skip straight past them
+      if (!/[\\\n`!\[<hH*_~]/.test(text[i])) {
+        plain += text[i];
+        i++;
+        continue;
+      }
+      let rest = text.substring(i, i + spanLimit);
+      let match;
+      if ((match = /^\\([!-\/:-@\[-`{-~])/.exec(rest))) {
+        plain += match[1];
+        i += 2;
+      } else if (rest[0] === '\n') {
+        plain = plain.replace(/[ \t]+$/, '');
+        flush();
+        parent.appendChild(document.createElement("br"));
+        i++;
+      } else if (rest[0] === '`') {
+        match = /^(`+)(?!`)([^]*?[^`])\1(?!`)/.exec(rest);
+        if (match) {
+          flush();
+          let code = document.createElement("code");
+          code.textContent = /^ .* $/.test(match[2]) ? match[2].slice(1, -1) : match[2];
+          parent.appendChild(code);
+          i += match[0].length;
+        } else {
+          match = /^`+/.exec(rest);
+          plain += match[0];
+          i += match[0].length;
+        }
+      } else if (!linked && (match = /^(!?)\[((?:\\.|[^\]\\])*)\]\([ \t]*<?([^\s<>()]*(?:\([^\s()]*\)[^\s<>()]*)*)>?(?:[ \t]+(?:"[^"]*"|'[^']*'))?[ \t]*\)/.exec(rest))) {
+        flush();
+        appendLink(parent, match[3], match[1] === '!' ? match[2].replace(/\\(.)/g, '$1') : match[2], match[1] === '!' ? 'image' : 'markdown');
+        i += match[0].length;
+      } else if (!linked && (match = /^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i.exec(rest))) {
+        flush();
+        appendLink(parent, match[1], match[1], 'url');
+        i += match[0].length;
+      } else if (!linked && !/\w/.test(text[i - 1] || '') && (match = /^https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/i.exec(rest))) {
+        flush();
+        appendLink(parent, match[0], match[0], 'url');
+        i += match[0].length;
+      } else if ((match = /^(\*\*|__|~~|\*|_)/.exec(rest))) {
+        // Markers only open before text, and "_" only at the start of a word, so snake_case stays as it is
+        let marker = match[1];
+        let start = i + marker.length;
+        let close = -1;
+        if (depth < maxDepth && /\S/.test(text[start] || ' ') && (marker[0] !== '_' || !/\w/.test(text[i - 1] || ''))) {
+          close = findClosing(text, start, marker);
+        }
+        if (close > start) {
+          flush();
+          let tag = marker === '~~' ? "del" : marker.length === 2 ? "strong" : "em";
+          let element = document.createElement(tag);
+          renderInline(text.substring(start, close), element, linked, depth + 1);
+          parent.appendChild(element);
+          i = close + marker.length;
+        } else {
+          plain += marker;
+          i += marker.length;
+        }
+      } else {
+        plain += text[i];
+        i++;
+      }
+    }
+    flush();
+  }
+
+  /*
+  Render markdown text as a DocumentFragment of page elements
+  */
+  function renderMarkdown(text) {
+    let fragment = document.createDocumentFragment();
+    renderBlocks(text.replace(/\r\n?/g, '\n').split('\n'), fragment, 0);
+    return fragment;
+  }
+
+  window.notelockMarkdown = { renderMarkdown };
+
+  //#endregion
+
+})();